@@ -1,6 +1,6 @@
 // core-modules.js - Built-in modules that ship with the plugin
 // The 'obsidian' and 'PluginModule' objects are now injected by the module loader.
-const { MarkdownView, Notice, setIcon, Setting } = obsidian;
+const { MarkdownView, Notice, Setting } = obsidian;
 
 // Utility: Debounce function
 function debounce(func, wait) {
@@ -22,7 +22,6 @@ class BracketLinkFixModule extends PluginModule {
         this.id = 'core-bracket-link-fix';
         this.name = 'Bracket Link Fix';
         this.description = 'Fix bracket links to only show as links when followed by parentheses';
-        this.styleEl = null;
         this.observer = null;
         this.debouncedApplyFix = null;
     }
@@ -50,11 +49,7 @@ class BracketLinkFixModule extends PluginModule {
 }
 `;
 
-        // Inject CSS
-        this.styleEl = document.createElement('style');
-        this.styleEl.setAttribute('type', 'text/css');
-        this.styleEl.textContent = css;
-        document.head.appendChild(this.styleEl);
+        this.addStyle(css);
 
         // Initialize debounced functions
         this.debouncedApplyFix = debounce(this.applyFix.bind(this), 100);
@@ -63,7 +58,7 @@ class BracketLinkFixModule extends PluginModule {
         this.setupObserverAndApplyInitialFix();
         
         // Register events
-        this.plugin.registerEvent(
+        this.registerEvent(
             this.app.workspace.on('active-leaf-change', (leaf) => {
                 if (leaf && leaf.view instanceof MarkdownView) {
                     this.setupObserverAndApplyInitialFix();
@@ -76,11 +71,6 @@ class BracketLinkFixModule extends PluginModule {
 
     async onDisable() {
         this.disconnectObserver();
-        
-        if (this.styleEl) {
-            this.styleEl.remove();
-            this.styleEl = null;
-        }
     }
 
     disconnectObserver() {
@@ -148,116 +138,61 @@ class WhiteCanvasModeModule extends PluginModule {
         this.id = 'core-white-canvas-mode';
         this.name = 'White Canvas Mode';
         this.description = 'Add toggle buttons to tabs for white background in dark mode';
-        this.styleEl = null;
-        this.activeLeaves = new Set();
     }
 
     async onEnable() {
         const css = `
 /* White Canvas Mode - Injected by Personal Plugins */
+/* Override these variables in the module's CSS overrides to change the colors */
+body {
+    --white-canvas-background: #fff;
+    --white-canvas-text: rgb(76, 76, 76);
+    --white-canvas-caret: var(--color-base-25);
+}
 body:not(.is-mobile).theme-dark .workspace-tabs:not(.mod-stacked) .view-content.light-mode-active:not(.vignette-radial, .vignette-linear, .animate, .ptm-fullscreen-writing-focus-element) {
-    background-color: #fff !important;
+    background-color: var(--white-canvas-background) !important;
     border-top-left-radius: var(--card-border-radius-dark, 8px) !important;
     border-top-right-radius: var(--card-border-radius-dark, 8px) !important;
 }
 body:not(.is-mobile).theme-dark .workspace-tabs:not(.mod-stacked) .view-content.light-mode-active:not(.vignette-radial, .vignette-linear, .animate, .ptm-fullscreen-writing-focus-element) .cm-content {
-    color: rgb(76, 76, 76);
+    color: var(--white-canvas-text);
 }
 body.theme-dark .view-content.light-mode-active .inline-title {
-    color: rgb(76, 76, 76);
+    color: var(--white-canvas-text);
 }
 body .view-content.light-mode-active .markdown-source-view.mod-cm6 .cm-content {
-    caret-color: var(--color-base-25);
+    caret-color: var(--white-canvas-caret);
 }
 `;
 
-        // Inject CSS
-        this.styleEl = document.createElement('style');
-        this.styleEl.setAttribute('type', 'text/css');
-        this.styleEl.id = 'white-canvas-mode-styles';
-        this.styleEl.textContent = css;
-        document.head.appendChild(this.styleEl);
-
-        // Add buttons to existing tabs
-        this.addButtonToExistingTabs();
-
-        // Register events
-        this.plugin.registerEvent(
-            this.app.workspace.on('layout-change', () => {
-                this.addButtonToExistingTabs();
-            })
-        );
-    }
-
-    async onDisable() {
-        this.removeAllButtons();
-        
-        if (this.styleEl) {
-            this.styleEl.remove();
-            this.styleEl = null;
-        }
-    }
+        this.addStyle(css);
 
-    addButtonToExistingTabs() {
-        const leaves = this.app.workspace.getLeavesOfType('markdown');
-        
-        leaves.forEach(leaf => {
-            if (!this.activeLeaves.has(leaf)) {
-                this.addButtonToTab(leaf);
-                this.activeLeaves.add(leaf);
-            }
+        this.addViewAction({
+            id: 'white-canvas',
+            icon: 'sun-moon',
+            tooltip: 'Enable white canvas mode for this note',
+            activeTooltip: 'Disable white canvas mode for this note',
+            viewTypes: ['markdown'],
+            onClick: (view) => this.toggleWhiteCanvas(view),
+            isActive: (view) => this.isWhiteCanvas(view)
         });
     }
 
-    addButtonToTab(leaf) {
-        const view = leaf.view;
-        if (!view || !view.containerEl) return;
-
-        const viewActions = view.containerEl.querySelector('.view-actions');
-        if (!viewActions) return;
-        
-        if (viewActions.querySelector('.light-mode-toggle')) return;
-        
-        const button = document.createElement('a');
-        button.className = 'clickable-icon view-action light-mode-toggle';
-        button.setAttribute('aria-label', 'Toggle white canvas mode for this note');
-        
-        setIcon(button, 'sun-moon');
-        
-        button.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            this.toggleWhiteCanvas(leaf, button);
-        });
-        
-        viewActions.prepend(button);
+    async onDisable() {
+        const viewContents = document.querySelectorAll('.view-content.light-mode-active');
+        viewContents.forEach(content => content.classList.remove('light-mode-active'));
     }
 
-    toggleWhiteCanvas(leaf, button) {
-        const view = leaf.view;
-        if (!view || !view.containerEl) return;
-
+    toggleWhiteCanvas(view) {
         const viewContent = view.containerEl.querySelector('.view-content');
-        if (!viewContent) return;
-
-        const isNowActive = viewContent.classList.toggle('light-mode-active');
-        
-        button.classList.toggle('is-active', isNowActive);
-        if (isNowActive) {
-            button.setAttribute('aria-label', 'Disable white canvas mode for this note');
-        } else {
-            button.setAttribute('aria-label', 'Enable white canvas mode for this note');
+        if (viewContent) {
+            viewContent.classList.toggle('light-mode-active');
         }
     }
 
-    removeAllButtons() {
-        const buttons = document.querySelectorAll('.light-mode-toggle');
-        buttons.forEach(button => button.remove());
-        
-        const viewContents = document.querySelectorAll('.view-content.light-mode-active');
-        viewContents.forEach(content => content.classList.remove('light-mode-active'));
-        
-        this.activeLeaves.clear();
+    isWhiteCanvas(view) {
+        const viewContent = view.containerEl.querySelector('.view-content');
+        return !!viewContent && viewContent.classList.contains('light-mode-active');
     }
 }
 
@@ -268,57 +203,18 @@ class SmartifyQuotesModule extends PluginModule {
         this.id = 'core-smartify-quotes';
         this.name = 'Smartify Quotes';
         this.description = 'Add button to convert straight quotes to smart quotes';
-        this.activeLeaves = new Set();
     }
 
     async onEnable() {
-        this.addButtonToExistingTabs();
-        this.plugin.registerEvent(
-            this.app.workspace.on('layout-change', () => {
-                this.addButtonToExistingTabs();
-            })
-        );
-    }
-
-    async onDisable() {
-        this.removeAllButtons();
-    }
-
-    addButtonToExistingTabs() {
-        const leaves = this.app.workspace.getLeavesOfType('markdown');
-
-        leaves.forEach(leaf => {
-            if (!this.activeLeaves.has(leaf)) {
-                this.addButtonToTab(leaf);
-                this.activeLeaves.add(leaf);
-            }
+        this.addViewAction({
+            id: 'smartify-quotes',
+            icon: 'quote',
+            tooltip: 'Convert simple quotes to smart quotes',
+            viewTypes: ['markdown'],
+            onClick: (view) => this.convertToSmartQuotes(view)
         });
     }
 
-    addButtonToTab(leaf) {
-        const view = leaf.view;
-        if (!view || !view.containerEl) return;
-
-        const viewActions = view.containerEl.querySelector('.view-actions');
-        if (!viewActions) return;
-
-        if (viewActions.querySelector('.smartify-quotes')) return;
-
-        const button = document.createElement('a');
-        button.className = 'clickable-icon view-action smartify-quotes';
-        button.setAttribute('aria-label', 'Convert simple quotes to smart quotes');
-
-        setIcon(button, 'quote');
-
-        button.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            this.convertToSmartQuotes(view);
-        });
-
-        viewActions.prepend(button);
-    }
-
     convertToSmartQuotes(view) {
         if (!view || view.getViewType() !== 'markdown') return;
 
@@ -378,12 +274,6 @@ class SmartifyQuotesModule extends PluginModule {
             .replace(/(^|\s|--|—|\[|\()'(\S)/g, '$1‘$2') // Opening single quote
             .replace(/'/g, '’'); // Closing single quote / apostrophe
     }
-
-    removeAllButtons() {
-        const buttons = document.querySelectorAll('.smartify-quotes');
-        buttons.forEach(button => button.remove());
-        this.activeLeaves.clear();
-    }
 }
 
 // Bulk Create Module
@@ -393,68 +283,35 @@ class BulkCreateModule extends PluginModule {
         this.id = 'core-bulk-create';
         this.name = 'Bulk Create Notes';
         this.description = 'Detect inactive links and create new notes for them';
-        this.activeLeaves = new Set();
     }
 
     async onEnable() {
-        this.addButtonToExistingTabs();
-        this.plugin.registerEvent(
-            this.app.workspace.on('layout-change', () => {
-                this.addButtonToExistingTabs();
-            })
-        );
-    }
-
-    async onDisable() {
-        this.removeAllButtons();
-    }
-
-    addButtonToExistingTabs() {
-        const leaves = this.app.workspace.getLeavesOfType('markdown');
-
-        leaves.forEach(leaf => {
-            if (!this.activeLeaves.has(leaf)) {
-                this.addButtonToTab(leaf);
-                this.activeLeaves.add(leaf);
+        this.addViewAction({
+            id: 'bulk-create',
+            icon: 'file-stack',
+            tooltip: 'Create new notes from any inactive links',
+            viewTypes: ['markdown'],
+            onClick: async (view) => {
+                await this.bulkCreateNotes(view);
+                this.refreshLinkDisplay();
             }
         });
     }
 
-    addButtonToTab(leaf) {
-        const view = leaf.view;
-        if (!view || !view.containerEl) return;
-
-        const viewActions = view.containerEl.querySelector('.view-actions');
-        if (!viewActions) return;
-
-        if (viewActions.querySelector('.bulk-create')) return;
-
-        const button = document.createElement('a');
-        button.className = 'clickable-icon view-action bulk-create';
-        button.setAttribute('aria-label', 'Create new notes from any inactive links');
-
-        setIcon(button, 'file-stack');
-
-        button.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            this.bulkCreateNotes(view);
-            
-            this.app.workspace.getLeavesOfType('file-explorer').forEach(leaf => {
-                if (leaf.view && leaf.view.requestSort) {
-                    leaf.view.requestSort();
-                }
-            });
-            
-            const activeLeaf = this.app.workspace.activeLeaf;
-            if (activeLeaf && activeLeaf.view.editor) {
-                activeLeaf.view.editor.refresh();
+    // Shows the new notes in the file explorer and the created links as resolved
+    refreshLinkDisplay() {
+        this.app.workspace.getLeavesOfType('file-explorer').forEach(leaf => {
+            if (leaf.view && leaf.view.requestSort) {
+                leaf.view.requestSort();
             }
-            
-            this.app.metadataCache.trigger('changed');
         });
-
-        viewActions.prepend(button);
+        
+        const activeLeaf = this.app.workspace.activeLeaf;
+        if (activeLeaf && activeLeaf.view.editor) {
+            activeLeaf.view.editor.refresh();
+        }
+        
+        this.app.metadataCache.trigger('changed');
     }
 
     async bulkCreateNotes(view) {
@@ -549,12 +406,6 @@ class BulkCreateModule extends PluginModule {
         
         return finalPath;
     }
-
-    removeAllButtons() {
-        const buttons = document.querySelectorAll('.bulk-create');
-        buttons.forEach(button => button.remove());
-        this.activeLeaves.clear();
-    }
 }
 
 // Export all core modules
@@ -569,6 +420,21 @@ module.exports = {
 
 // Dynamic Padding Module
 class DynamicPaddingModule extends PluginModule {
+    static manifest = {
+        settings: [
+            {
+                key: 'paddingPercentage',
+                type: 'slider',
+                name: 'Dynamic Editor Padding',
+                desc: 'Set the percentage of the editor height to use as bottom padding, allowing you to scroll past the end of the document.',
+                default: 50,
+                min: 0,
+                max: 100,
+                step: 5
+            }
+        ]
+    };
+
     constructor(plugin) {
         super(plugin);
         this.id = 'core-dynamic-padding';
@@ -576,9 +442,10 @@ class DynamicPaddingModule extends PluginModule {
         this.description = 'Adds a configurable padding to the bottom of the editor.';
         this.observers = new WeakMap();
         this.paddingPercentage = 50;
+        this.scrollFixRegistered = false;
     }
 
-    // This extension is registered globally and checks if this module is enabled.
+    // This extension is registered while the module is enabled and removed again on disable.
     createScrollFixExtension(EditorView_class) {
         const plugin = this.plugin;
         const moduleId = this.id;
@@ -611,17 +478,17 @@ class DynamicPaddingModule extends PluginModule {
 
     async onEnable() {
         const settings = this.getSettings();
-        this.paddingPercentage = settings.paddingPercentage || 50;
+        this.paddingPercentage = settings.paddingPercentage;
 
         this.app.workspace.getLeavesOfType('markdown').forEach(leaf => this.setupObserverForLeaf(leaf));
 
-        this.plugin.registerEvent(
+        this.registerEvent(
             this.app.workspace.on('layout-change', () => {
                 this.app.workspace.getLeavesOfType('markdown').forEach(leaf => this.setupObserverForLeaf(leaf));
             })
         );
         
-        this.plugin.registerEvent(
+        this.registerEvent(
             this.app.workspace.on('active-leaf-change', (leaf) => {
                 if (leaf && leaf.view instanceof MarkdownView) {
                     this.setupObserverForLeaf(leaf);
@@ -631,8 +498,8 @@ class DynamicPaddingModule extends PluginModule {
     }
 
     async onDisable() {
-        // The global extension cannot be disabled, but it checks for module.enabled,
-        // so we just need to clean up the padding here.
+        // The scroll fix extension is removed by the framework, so only the padding needs cleaning up here.
+        this.scrollFixRegistered = false;
         this.app.workspace.getLeavesOfType('markdown').forEach(leaf => {
             if (this.observers.has(leaf)) {
                 this.observers.get(leaf).disconnect();
@@ -646,11 +513,11 @@ class DynamicPaddingModule extends PluginModule {
         const view = leaf.view;
         if (!view || !(view instanceof MarkdownView)) return;
 
-        // Register the global extension once we have a live editor view
-        if (!this.plugin.dynamicPaddingExtensionRegistered) {
+        // Register the extension once we have a live editor view
+        if (!this.scrollFixRegistered) {
             const EditorView_class = view.editor.cm.constructor;
-            this.plugin.registerEditorExtension(this.createScrollFixExtension(EditorView_class));
-            this.plugin.dynamicPaddingExtensionRegistered = true;
+            this.registerEditorExtension(this.createScrollFixExtension(EditorView_class));
+            this.scrollFixRegistered = true;
         }
 
         if (this.observers.has(leaf)) {
@@ -696,19 +563,10 @@ class DynamicPaddingModule extends PluginModule {
         });
     }
 
-    addSettings(containerEl) {
-        const settings = this.getSettings();
-        new Setting(containerEl)
-            .setName('Dynamic Editor Padding')
-            .setDesc('Set the percentage of the editor height to use as bottom padding, allowing you to scroll past the end of the document.')
-            .addSlider(slider => slider
-                .setLimits(0, 100, 5)
-                .setValue(this.paddingPercentage)
-                .setDynamicTooltip()
-                .onChange(async (value) => {
-                    await this.saveSettings({ ...settings, paddingPercentage: value });
-                    this.updatePaddingPercentage(value);
-                }));
+    async onSettingsChanged(diff) {
+        if ('paddingPercentage' in diff) {
+            this.updatePaddingPercentage(diff.paddingPercentage);
+        }
     }
 }
 
@@ -720,7 +578,8 @@ class TitleCaseModule extends PluginModule {
         this.name = 'Title Case Conversion';
         this.description = 'Convert selected text to title case using various style guides (NLP-enhanced)';
         this.styleGuide = 'Chicago';
-        this.nlp = null; // Will be loaded on enable
+        this.nlp = null; // Will be loaded on first conversion
+        this.nlpLoading = null;
 
         // Word classification lists based on title-rules.pdf
         this.articles = new Set(['a', 'an', 'the']);
@@ -764,30 +623,8 @@ class TitleCaseModule extends PluginModule {
         const settings = this.getSettings();
         this.styleGuide = settings.styleGuide || 'Chicago';
 
-        // Load Compromise NLP library
-        try {
-            const path = require('path');
-            const fs = require('fs');
-            const compromisePath = path.join(this.plugin.manifest.dir, 'compromise.min.js');
-
-            if (await this.app.vault.adapter.exists(compromisePath)) {
-                const compromiseCode = await this.app.vault.adapter.read(compromisePath);
-                // Execute compromise in a sandboxed context
-                const compromiseModule = { exports: {} };
-                const fn = new Function('module', 'exports', compromiseCode);
-                fn(compromiseModule, compromiseModule.exports);
-                this.nlp = compromiseModule.exports;
-            } else {
-                console.warn('Compromise library not found, falling back to heuristics');
-                this.nlp = null;
-            }
-        } catch (error) {
-            console.error('Failed to load Compromise NLP:', error);
-            this.nlp = null;
-        }
-
         // Register context menu event
-        this.plugin.registerEvent(
+        this.registerEvent(
             this.app.workspace.on('editor-menu', (menu, editor, view) => {
                 // Only show if text is selected
                 if (editor.somethingSelected()) {
@@ -808,10 +645,23 @@ class TitleCaseModule extends PluginModule {
         // Cleanup handled by plugin framework
     }
 
-    convertSelectionToTitleCase(editor) {
+    // Compromise is large, so it is only evaluated when the first selection is converted
+    loadNlp() {
+        // Shared with other modules through the plugin's library loader
+        if (!this.nlpLoading) {
+            this.nlpLoading = this.plugin.libs.get('compromise').then(
+                nlp => this.nlp = nlp,
+                error => console.warn('Compromise NLP not available, falling back to heuristics:', error)
+            );
+        }
+        return this.nlpLoading;
+    }
+
+    async convertSelectionToTitleCase(editor) {
         const selectedText = editor.getSelection();
         if (!selectedText) return;
 
+        await this.loadNlp();
         const titleCased = this.toTitleCase(selectedText, this.styleGuide);
         editor.replaceSelection(titleCased);
     }
@@ -1342,7 +1192,6 @@ class RichTextFormattingModule extends PluginModule {
         this.name = 'Rich Text Formatting';
         this.description = 'Apple-style formatting toolbar for markdown editing';
         this.activeLeaves = new Set();
-        this.styleEl = null;
         this.cursorMonitorInterval = null;
     }
 
@@ -1354,7 +1203,7 @@ class RichTextFormattingModule extends PluginModule {
         this.addToolbarToExistingViews();
 
         // Register events
-        this.plugin.registerEvent(
+        this.registerEvent(
             this.app.workspace.on('layout-change', () => {
                 this.addToolbarToExistingViews();
             })
@@ -1362,25 +1211,30 @@ class RichTextFormattingModule extends PluginModule {
 
         // Monitor cursor position for context updates
         this.startCursorMonitoring();
+
+        // Commands for the most used formats, with suggested hotkeys that can be changed in Obsidian's Hotkeys settings
+        const formatCommands = [
+            { id: 'bold', name: 'Bold', format: '**', key: 'B' },
+            { id: 'italic', name: 'Italic', format: '*', key: 'I' },
+            { id: 'highlight', name: 'Highlight', format: '==', key: 'H' }
+        ];
+        formatCommands.forEach(({ id, name, format, key }) => {
+            this.addCommand({
+                id: `rich-text-${id}`,
+                name: `Rich Text Formatting: ${name}`,
+                hotkeys: [{ modifiers: ['Mod', 'Alt'], key }],
+                editorCallback: (editor, view) => this.applyFormat(view, id, format)
+            });
+        });
     }
 
     async onDisable() {
         this.removeAllToolbars();
         this.stopCursorMonitoring();
-
-        if (this.styleEl) {
-            this.styleEl.remove();
-            this.styleEl = null;
-        }
     }
 
     injectStyles() {
-        const styleId = 'rich-text-formatting-styles';
-        if (document.getElementById(styleId)) return;
-
-        this.styleEl = document.createElement('style');
-        this.styleEl.id = styleId;
-        this.styleEl.textContent = `
+        this.addStyle(`
 /* Rich Text Formatting Toolbar - Apple-inspired design */
 .rtf-toolbar {
     display: flex !important;
@@ -1542,8 +1396,7 @@ class RichTextFormattingModule extends PluginModule {
     opacity: 1 !important;
     transform: translateX(-50%) scale(1) !important;
 }
-`;
-        document.head.appendChild(this.styleEl);
+`, { id: 'toolbar' });
     }
 
     addToolbarToExistingViews() {
@@ -1655,7 +1508,7 @@ class RichTextFormattingModule extends PluginModule {
 
     startCursorMonitoring() {
         // Update context every 200ms when cursor might have moved
-        this.cursorMonitorInterval = setInterval(() => {
+        this.cursorMonitorInterval = this.addInterval(() => {
             const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
             if (activeView) {
                 this.updateToolbarContext(activeView);
@@ -0,0 +1,862 @@
+// harness/index.js - Runs the plugin and its modules in Node against an in-memory vault
+// See "Testing Modules Without Obsidian" in the README. Use it from any test runner, or plain node:assert.
+
+const Module = require('module');
+const fs = require('fs');
+const nodePath = require('path');
+const obsidian = require('./obsidian');
+
+const { MockElement, MockDocument, Events, TFile, TFolder, MarkdownView, WorkspaceLeaf, Notice, normalizePath } = obsidian;
+
+const PLUGIN_ID = 'custom-modules';
+const CONFIG_DIR = '.obsidian';
+const PLUGIN_DIR = `${CONFIG_DIR}/plugins/${PLUGIN_ID}`;
+
+// Files of the plugin folder copied into the in-memory vault, so the plugin loads them as it would in Obsidian
+const PLUGIN_FILES = ['manifest.json', 'core-modules.js'];
+const PLUGIN_FOLDERS = ['lib'];
+
+// Makes require('obsidian') return the mock, as Obsidian does for plugins
+const originalResolve = Module._resolveFilename;
+Module._resolveFilename = function (request, ...args) {
+    if (request === 'obsidian') return require.resolve('./obsidian');
+    return originalResolve.call(this, request, ...args);
+};
+
+// The browser globals the plugin and modules reach for
+function installGlobals() {
+    if (global.__customModulesHarness) return;
+    global.__customModulesHarness = true;
+
+    const document = new MockDocument();
+    global.document = document;
+    global.activeDocument = document;
+    global.window = global;
+    global.activeWindow = global;
+    global.createEl = (tag, options, callback) => new MockElement('div').createEl(tag, options, callback);
+    global.createDiv = (options, callback) => global.createEl('div', options, callback);
+    global.createSpan = (options, callback) => global.createEl('span', options, callback);
+    global.requestAnimationFrame = callback => setTimeout(() => callback(Date.now()), 0);
+    global.cancelAnimationFrame = id => clearTimeout(id);
+    global.getComputedStyle = () => ({ getPropertyValue: () => '' });
+    // Nothing is laid out or rendered, so sizes and the DOM never change by themselves
+    global.ResizeObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    global.MutationObserver = class {
+        observe() {}
+        disconnect() {}
+        takeRecords() { return []; }
+    };
+    global.Node = { ELEMENT_NODE: 1, TEXT_NODE: 3 };
+}
+
+/**
+ * Compares editor positions.
+ * @returns {number} Negative if a comes before b, zero if equal, positive if after.
+ */
+function comparePos(a, b) {
+    return a.line - b.line || a.ch - b.ch;
+}
+
+/**
+ * Stands in for the CodeMirror view behind an Editor (editor.cm): the elements modules style, and the
+ * statics they reach through editor.cm.constructor. Extensions built from it are accepted but never run.
+ */
+class EditorView {
+    constructor() {
+        this.dom = new MockElement('div');
+        this.dom.addClass('cm-editor');
+        this.scrollDOM = this.dom.createDiv({ cls: 'cm-scroller' });
+        this.contentDOM = this.scrollDOM.createDiv({ cls: 'cm-content' });
+    }
+
+    static scrollIntoView(pos, options = {}) {
+        return { pos, options };
+    }
+
+    dispatch() {}
+    focus() {}
+}
+
+EditorView.updateListener = { of: listener => ({ updateListener: listener }) };
+
+/**
+ * The part of Obsidian's Editor that modules use, over a plain string. Every change triggers the
+ * workspace's 'editor-change' event, as typing does in Obsidian.
+ */
+class Editor {
+    constructor(text = '', onChange = () => {}) {
+        this.lines = text.split('\n');
+        this.anchor = { line: 0, ch: 0 };
+        this.head = { line: 0, ch: 0 };
+        this.onChange = onChange;
+        this.cm = new EditorView();
+    }
+
+    getValue() {
+        return this.lines.join('\n');
+    }
+
+    setValue(text) {
+        this.lines = text.split('\n');
+        this.setCursor(this.clipPos(this.head));
+        this.onChange(this);
+    }
+
+    lineCount() {
+        return this.lines.length;
+    }
+
+    lastLine() {
+        return this.lines.length - 1;
+    }
+
+    getLine(line) {
+        return this.lines[line];
+    }
+
+    setLine(line, text) {
+        this.replaceRange(text, { line, ch: 0 }, { line, ch: this.lines[line].length });
+    }
+
+    posToOffset(pos) {
+        let offset = 0;
+        for (let line = 0; line < pos.line; line++) offset += this.lines[line].length + 1;
+        return offset + pos.ch;
+    }
+
+    offsetToPos(offset) {
+        let line = 0;
+        while (line < this.lines.length - 1 && offset > this.lines[line].length) {
+            offset -= this.lines[line].length + 1;
+            line++;
+        }
+        return { line, ch: Math.min(offset, this.lines[line].length) };
+    }
+
+    clipPos(pos) {
+        const line = Math.max(0, Math.min(pos.line, this.lastLine()));
+        return { line, ch: Math.max(0, Math.min(pos.ch, this.lines[line].length)) };
+    }
+
+    getRange(from, to) {
+        return this.getValue().slice(this.posToOffset(from), this.posToOffset(to));
+    }
+
+    replaceRange(text, from, to = from) {
+        const value = this.getValue();
+        const start = this.posToOffset(from);
+        const end = this.posToOffset(to);
+        this.lines = (value.slice(0, start) + text + value.slice(end)).split('\n');
+        const cursor = this.offsetToPos(start + text.length);
+        this.anchor = cursor;
+        this.head = cursor;
+        this.onChange(this);
+    }
+
+    // 'from' and 'to' are the selection's ends in document order; 'head' (the default) and 'anchor' as set
+    getCursor(which = 'head') {
+        const [from, to] = comparePos(this.anchor, this.head) <= 0 ? [this.anchor, this.head] : [this.head, this.anchor];
+        return { ...{ from, to, head: this.head, anchor: this.anchor }[which] };
+    }
+
+    setCursor(pos, ch) {
+        const cursor = this.clipPos(typeof pos === 'number' ? { line: pos, ch: ch || 0 } : pos);
+        this.anchor = cursor;
+        this.head = { ...cursor };
+    }
+
+    setSelection(anchor, head = anchor) {
+        this.anchor = this.clipPos(anchor);
+        this.head = this.clipPos(head);
+    }
+
+    listSelections() {
+        return [{ anchor: { ...this.anchor }, head: { ...this.head } }];
+    }
+
+    somethingSelected() {
+        return comparePos(this.anchor, this.head) !== 0;
+    }
+
+    getSelection() {
+        return this.getRange(this.getCursor('from'), this.getCursor('to'));
+    }
+
+    replaceSelection(text) {
+        this.replaceRange(text, this.getCursor('from'), this.getCursor('to'));
+    }
+
+    // Types text at the cursor, replacing any selection
+    type(text) {
+        this.replaceSelection(text);
+    }
+
+    focus() {}
+    blur() {}
+    refresh() {}
+    scrollIntoView() {}
+}
+
+// The vault adapter, over a Map of paths to contents; folders are implied by the paths in it
+class InMemoryAdapter {
+    constructor(vault) {
+        this.vault = vault;
+        this.files = new Map();
+        this.folders = new Set();
+        this.mtimes = new Map();
+    }
+
+    getName() {
+        return 'harness';
+    }
+
+    getBasePath() {
+        return '/harness-vault';
+    }
+
+    statSync(path) {
+        if (this.files.has(path)) {
+            return { type: 'file', ctime: this.mtimes.get(path), mtime: this.mtimes.get(path), size: this.files.get(path).length };
+        }
+        return this.isFolder(path) ? { type: 'folder', ctime: 0, mtime: 0, size: 0 } : null;
+    }
+
+    isFolder(path) {
+        return path === '' || path === '/' || this.folders.has(path) || [...this.files.keys()].some(file => file.startsWith(`${path}/`));
+    }
+
+    async exists(path) {
+        path = normalizePath(path);
+        return this.files.has(path) || this.isFolder(path);
+    }
+
+    async stat(path) {
+        return this.statSync(normalizePath(path));
+    }
+
+    async read(path) {
+        path = normalizePath(path);
+        if (!this.files.has(path)) throw new Error(`ENOENT: no such file, open '${path}'`);
+        return this.files.get(path);
+    }
+
+    // Writes a file and triggers the vault's 'raw' event, which hot reloading listens to
+    async write(path, data) {
+        this.writeSync(normalizePath(path), data);
+    }
+
+    writeSync(path, data) {
+        this.files.set(path, String(data));
+        this.mtimes.set(path, Date.now());
+        this.vault.trigger('raw', path);
+    }
+
+    async append(path, data) {
+        path = normalizePath(path);
+        await this.write(path, (this.files.get(path) || '') + data);
+    }
+
+    async process(path, callback) {
+        const data = callback(await this.read(path));
+        await this.write(path, data);
+        return data;
+    }
+
+    async mkdir(path) {
+        this.folders.add(normalizePath(path));
+    }
+
+    async remove(path) {
+        path = normalizePath(path);
+        this.files.delete(path);
+        this.mtimes.delete(path);
+        this.vault.trigger('raw', path);
+    }
+
+    async rmdir(path) {
+        path = normalizePath(path);
+        [...this.files.keys()].filter(file => file.startsWith(`${path}/`)).forEach(file => this.files.delete(file));
+        [...this.folders].filter(folder => folder === path || folder.startsWith(`${path}/`)).forEach(folder => this.folders.delete(folder));
+    }
+
+    async rename(from, to) {
+        from = normalizePath(from);
+        to = normalizePath(to);
+        await this.write(to, await this.read(from));
+        await this.remove(from);
+    }
+
+    async list(path) {
+        path = normalizePath(path);
+        const prefix = path === '/' ? '' : `${path}/`;
+        const files = new Set();
+        const folders = new Set();
+        for (const entry of [...this.files.keys(), ...this.folders]) {
+            if (!entry.startsWith(prefix) || entry === path) continue;
+            const rest = entry.slice(prefix.length);
+            const slash = rest.indexOf('/');
+            if (slash > -1) folders.add(prefix + rest.slice(0, slash));
+            else if (this.files.has(entry)) files.add(entry);
+            else folders.add(entry);
+        }
+        return { files: [...files], folders: [...folders] };
+    }
+}
+
+/**
+ * The vault: notes and other files outside the config folder as TFile objects, with the events
+ * Obsidian triggers. Everything is stored in its InMemoryAdapter.
+ */
+class Vault extends Events {
+    constructor() {
+        super();
+        this.adapter = new InMemoryAdapter(this);
+        this.configDir = CONFIG_DIR;
+        this.config = {};
+        this.fileCache = new Map();
+    }
+
+    getName() {
+        return 'Harness Vault';
+    }
+
+    getConfig(key) {
+        return this.config[key];
+    }
+
+    isIndexed(path) {
+        return path !== CONFIG_DIR && !path.startsWith(`${CONFIG_DIR}/`);
+    }
+
+    getAbstractFileByPath(path) {
+        path = normalizePath(path);
+        if (this.adapter.files.has(path) && this.isIndexed(path)) return this.getFileObject(path);
+        if (this.adapter.isFolder(path) && (path === '/' || this.isIndexed(path))) return this.getFolder(path);
+        return null;
+    }
+
+    getFileByPath(path) {
+        const file = this.getAbstractFileByPath(path);
+        return file instanceof TFile ? file : null;
+    }
+
+    getFolderByPath(path) {
+        const folder = this.getAbstractFileByPath(path);
+        return folder instanceof TFolder ? folder : null;
+    }
+
+    // The same TFile for a path every time, as in Obsidian
+    getFileObject(path) {
+        if (!this.fileCache.has(path)) this.fileCache.set(path, new TFile(this, path));
+        return this.fileCache.get(path);
+    }
+
+    getFolder(path) {
+        const key = `folder:${path}`;
+        if (!this.fileCache.has(key)) this.fileCache.set(key, new TFolder(this, path));
+        return this.fileCache.get(key);
+    }
+
+    getRoot() {
+        return this.getFolder('/');
+    }
+
+    getChildren(folderPath) {
+        const prefix = folderPath === '/' ? '' : `${folderPath}/`;
+        const children = new Map();
+        for (const path of [...this.adapter.files.keys(), ...this.adapter.folders]) {
+            if (!path.startsWith(prefix) || !this.isIndexed(path)) continue;
+            const rest = path.slice(prefix.length);
+            const childPath = prefix + rest.split('/')[0];
+            if (!children.has(childPath)) children.set(childPath, this.getAbstractFileByPath(childPath));
+        }
+        return [...children.values()].filter(Boolean);
+    }
+
+    getFiles() {
+        return [...this.adapter.files.keys()].filter(path => this.isIndexed(path)).map(path => this.getFileObject(path));
+    }
+
+    getMarkdownFiles() {
+        return this.getFiles().filter(file => file.extension === 'md');
+    }
+
+    getAllLoadedFiles() {
+        return [this.getRoot(), ...this.getFiles()];
+    }
+
+    async read(file) {
+        return this.adapter.read(file.path);
+    }
+
+    async cachedRead(file) {
+        return this.adapter.read(file.path);
+    }
+
+    async create(path, data = '') {
+        path = normalizePath(path);
+        if (this.adapter.files.has(path)) throw new Error(`File already exists: ${path}`);
+        this.adapter.writeSync(path, data);
+        const file = this.getFileObject(path);
+        this.trigger('create', file);
+        return file;
+    }
+
+    async createFolder(path) {
+        await this.adapter.mkdir(path);
+        const folder = this.getFolder(normalizePath(path));
+        this.trigger('create', folder);
+        return folder;
+    }
+
+    async modify(file, data) {
+        this.adapter.writeSync(file.path, data);
+        this.trigger('modify', file);
+    }
+
+    async append(file, data) {
+        await this.modify(file, (await this.read(file)) + data);
+    }
+
+    async process(file, callback) {
+        const data = callback(await this.read(file));
+        await this.modify(file, data);
+        return data;
+    }
+
+    async delete(file) {
+        await this.adapter.remove(file.path);
+        this.fileCache.delete(file.path);
+        this.trigger('delete', file);
+    }
+
+    async trash(file) {
+        await this.delete(file);
+    }
+
+    async rename(file, newPath) {
+        const oldPath = file.path;
+        newPath = normalizePath(newPath);
+        await this.adapter.rename(oldPath, newPath);
+        this.fileCache.delete(oldPath);
+        file.path = newPath;
+        file.name = newPath.split('/').pop();
+        this.fileCache.set(newPath, file);
+        this.trigger('rename', file, oldPath);
+    }
+}
+
+// Frontmatter of Markdown files, parsed from simple "key: value" lines
+class MetadataCache extends Events {
+    constructor(vault) {
+        super();
+        this.vault = vault;
+        this.resolvedLinks = {};
+        this.unresolvedLinks = {};
+    }
+
+    getFileCache(file) {
+        const content = this.vault.adapter.files.get(file.path);
+        if (content === undefined) return null;
+        const frontmatter = MetadataCache.parseFrontmatter(content);
+        return frontmatter ? { frontmatter } : {};
+    }
+
+    getFirstLinkpathDest(linkpath) {
+        return this.vault.getMarkdownFiles().find(file => file.basename === linkpath || file.path === linkpath) || null;
+    }
+
+    static parseFrontmatter(content) {
+        const match = content.match(/^---\n([\s\S]*?)\n---/);
+        if (!match) return null;
+
+        const frontmatter = {};
+        for (const line of match[1].split('\n')) {
+            const pair = line.match(/^([\w-]+):\s*(.*)$/);
+            if (!pair) continue;
+            const value = pair[2].trim();
+            try {
+                frontmatter[pair[1]] = value === '' ? null : JSON.parse(value);
+            } catch (error) {
+                frontmatter[pair[1]] = value.replace(/^["']|["']$/g, '');
+            }
+        }
+        return frontmatter;
+    }
+}
+
+class Workspace extends Events {
+    constructor(app) {
+        super();
+        this.app = app;
+        this.leaves = [];
+        this.activeLeaf = null;
+        this.layoutReady = false;
+        this.layoutReadyCallbacks = [];
+        this.editorExtensions = [];
+        this.containerEl = new MockElement('div');
+        this.containerEl.addClass('workspace');
+        global.document.body.appendChild(this.containerEl);
+    }
+
+    onLayoutReady(callback) {
+        if (this.layoutReady) callback();
+        else this.layoutReadyCallbacks.push(callback);
+    }
+
+    // Runs the callbacks waiting for the layout, as Obsidian does once the workspace has loaded
+    async ready() {
+        this.layoutReady = true;
+        for (const callback of this.layoutReadyCallbacks.splice(0)) {
+            await callback();
+        }
+    }
+
+    createLeaf(side = 'main') {
+        const leaf = new WorkspaceLeaf(this.app, side);
+        this.leaves.push(leaf);
+        return leaf;
+    }
+
+    getLeaf() {
+        if (this.activeLeaf && this.activeLeaf.side === 'main' && !this.activeLeaf.view) return this.activeLeaf;
+        return this.createLeaf();
+    }
+
+    getRightLeaf() {
+        return this.createLeaf('right');
+    }
+
+    getLeftLeaf() {
+        return this.createLeaf('left');
+    }
+
+    getLeavesOfType(type) {
+        return this.leaves.filter(leaf => leaf.view && leaf.view.getViewType() === type);
+    }
+
+    iterateAllLeaves(callback) {
+        this.leaves.slice().forEach(callback);
+    }
+
+    iterateRootLeaves(callback) {
+        this.leaves.filter(leaf => leaf.side === 'main').forEach(callback);
+    }
+
+    getActiveViewOfType(type) {
+        return this.activeLeaf && this.activeLeaf.view instanceof type ? this.activeLeaf.view : null;
+    }
+
+    getActiveFile() {
+        const view = this.activeLeaf && this.activeLeaf.view;
+        return view && view.file ? view.file : null;
+    }
+
+    setActiveLeaf(leaf) {
+        this.activeLeaf = leaf;
+        this.trigger('active-leaf-change', leaf);
+        if (leaf.view && leaf.view.file) this.trigger('file-open', leaf.view.file);
+    }
+
+    revealLeaf(leaf) {
+        this.setActiveLeaf(leaf);
+    }
+
+    detachLeaf(leaf) {
+        this.leaves = this.leaves.filter(existing => existing !== leaf);
+        if (leaf.view) leaf.closeView();
+        if (this.activeLeaf === leaf) this.activeLeaf = null;
+        this.trigger('layout-change');
+    }
+
+    detachLeavesOfType(type) {
+        this.getLeavesOfType(type).forEach(leaf => this.detachLeaf(leaf));
+    }
+
+    /**
+     * Opens a note in a Markdown view and makes it active. Creates the note if it doesn't exist.
+     * @param {string} path The note's path.
+     * @param {string} [content] Replaces the note's content when given.
+     * @param {WorkspaceLeaf} [leaf] The leaf to open it in; a new one by default.
+     * @returns {Promise<MarkdownView>}
+     */
+    async openNote(path, content, leaf = this.createLeaf()) {
+        const { vault } = this.app;
+        let file = vault.getFileByPath(path);
+        if (!file) file = await vault.create(path, content || '');
+        else if (content !== undefined) await vault.modify(file, content);
+
+        // Edits are saved straight away, where Obsidian waits a moment
+        const editor = new Editor(await vault.read(file), changed => {
+            vault.adapter.writeSync(file.path, changed.getValue());
+            this.trigger('editor-change', changed, view);
+        });
+        const view = new MarkdownView(leaf, editor);
+        view.file = file;
+        await leaf.setView(view);
+        this.setActiveLeaf(leaf);
+        return view;
+    }
+
+    updateOptions() {}
+    requestSaveLayout() {}
+}
+
+class Commands {
+    constructor(app) {
+        this.app = app;
+        this.commands = {};
+    }
+
+    addCommand(command) {
+        this.commands[command.id] = command;
+    }
+
+    removeCommand(id) {
+        delete this.commands[id];
+    }
+
+    findCommand(id) {
+        return this.commands[id];
+    }
+
+    listCommands() {
+        return Object.values(this.commands);
+    }
+
+    // Runs a command like the command palette; false if it doesn't apply right now
+    executeCommandById(id) {
+        const command = this.commands[id];
+        if (!command) return false;
+
+        const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+        if (command.editorCheckCallback) {
+            if (!view || !command.editorCheckCallback(true, view.editor, view)) return false;
+            command.editorCheckCallback(false, view.editor, view);
+        } else if (command.editorCallback) {
+            if (!view) return false;
+            command.editorCallback(view.editor, view);
+        } else if (command.checkCallback) {
+            if (!command.checkCallback(true)) return false;
+            command.checkCallback(false);
+        } else if (command.callback) {
+            command.callback();
+        }
+        return true;
+    }
+}
+
+class ViewRegistry extends Events {
+    constructor() {
+        super();
+        this.viewByType = {};
+    }
+
+    registerView(type, viewCreator) {
+        this.viewByType[type] = viewCreator;
+    }
+
+    unregisterView(type) {
+        delete this.viewByType[type];
+    }
+
+    createView(type, leaf) {
+        if (!this.viewByType[type]) throw new Error(`No view registered for type "${type}"`);
+        return this.viewByType[type](leaf);
+    }
+}
+
+// The app object plugins get, with the internal pieces this plugin uses
+class App {
+    constructor() {
+        this.vault = new Vault();
+        this.workspace = new Workspace(this);
+        this.metadataCache = new MetadataCache(this.vault);
+        this.commands = new Commands(this);
+        this.viewRegistry = new ViewRegistry();
+        this.fileManager = {
+            renameFile: (file, newPath) => this.vault.rename(file, newPath),
+            trashFile: file => this.vault.delete(file),
+            processFrontMatter: async (file, callback) => {
+                const content = await this.vault.read(file);
+                const frontmatter = MetadataCache.parseFrontmatter(content) || {};
+                callback(frontmatter);
+                const yaml = Object.entries(frontmatter).map(([key, value]) => `${key}: ${JSON.stringify(value)}`).join('\n');
+                const body = content.replace(/^---\n[\s\S]*?\n---\n?/, '');
+                await this.vault.modify(file, `---\n${yaml}\n---\n${body}`);
+            }
+        };
+        this.hotkeyManager = {
+            customKeys: {},
+            getHotkeys: id => this.hotkeyManager.customKeys[id],
+            getDefaultHotkeys: id => this.commands.commands[id] && this.commands.commands[id].hotkeys
+        };
+        this.setting = { pluginTabs: [], open() {}, close() {}, openTabById() {} };
+        this.localStorage = new Map();
+        this.openModals = [];
+        this.ribbonEl = global.document.body.createDiv({ cls: 'side-dock-ribbon' });
+        this.statusBarEl = global.document.body.createDiv({ cls: 'status-bar' });
+        this.pluginData = undefined;
+    }
+
+    loadLocalStorage(key) {
+        return this.localStorage.has(key) ? this.localStorage.get(key) : null;
+    }
+
+    saveLocalStorage(key, value) {
+        if (value === null || value === undefined) this.localStorage.delete(key);
+        else this.localStorage.set(key, value);
+    }
+
+    openWithDefaultApp() {}
+}
+
+/**
+ * A loaded copy of the plugin in an in-memory vault, with helpers to drive modules.
+ * Create one with createHarness().
+ */
+class Harness {
+    constructor(app, plugin) {
+        this.app = app;
+        this.plugin = plugin;
+        this.vault = app.vault;
+        this.workspace = app.workspace;
+        this.firstNotice = Notice.messages.length;
+    }
+
+    // Notices shown since the harness started, oldest first
+    get notices() {
+        return Notice.messages.slice(this.firstNotice);
+    }
+
+    getModule(moduleId) {
+        const module = this.plugin.registry.getModule(moduleId);
+        if (!module) throw new Error(`No module "${moduleId}" is loaded`);
+        return module;
+    }
+
+    // Enables a module and its dependencies, throwing the error if it fails
+    async enable(moduleId) {
+        const module = this.getModule(moduleId);
+        const enabled = await this.plugin.registry.enableModule(moduleId);
+        if (!enabled || !module.enabled) {
+            const reason = module.lastError ? module.lastError.message : this.plugin.registry.getEnableBlocker(module);
+            throw new Error(`Could not enable ${moduleId}: ${reason || 'unknown reason'}`);
+        }
+        return module;
+    }
+
+    async disable(moduleId) {
+        await this.plugin.registry.disableModule(moduleId);
+        return this.getModule(moduleId);
+    }
+
+    // Saves module settings as the settings tab does, so onSettingsChanged runs
+    async updateSettings(moduleId, changes) {
+        await this.getModule(moduleId).updateSettings(changes);
+    }
+
+    /**
+     * Adds a user module and loads it. Enable it with enable().
+     * @param {string} filename The file name inside the user modules folder.
+     * @param {string} source The module's code.
+     */
+    async addModule(filename, source) {
+        const [folder] = this.plugin.getUserModulesPaths();
+        const filepath = `${folder}/${filename}`;
+        await this.vault.adapter.write(filepath, source);
+        return this.plugin.loadUserModuleFile(filepath);
+    }
+
+    /**
+     * Opens a note in a Markdown view, which becomes the active view.
+     * @returns {Promise<MarkdownView>} The view; its editor is a harness Editor.
+     */
+    openNote(path, content) {
+        return this.workspace.openNote(path, content);
+    }
+
+    // Runs a command by its full id, or by the id a module gave it
+    runCommand(id) {
+        const fullId = id.includes(':') ? id : `${PLUGIN_ID}:${id}`;
+        if (!this.app.commands.commands[fullId]) throw new Error(`No command "${fullId}"`);
+        return this.app.commands.executeCommandById(fullId);
+    }
+
+    trigger(name, ...args) {
+        this.workspace.trigger(name, ...args);
+    }
+
+    // Waits for timers a module started, such as debounced handlers, to fire
+    wait(ms = 0) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Disables every module and unloads the plugin, clearing its intervals
+    async unload() {
+        await this.plugin.unload();
+    }
+}
+
+/**
+ * Loads the plugin from a plugin folder into a fresh in-memory vault.
+ * @param {Object} [options]
+ * @param {string} [options.pluginDir] The plugin folder holding main.js; by default the one this harness is in.
+ * @param {Object<string, string>} [options.modules] User modules by file name, put in the user modules folder before loading.
+ * @param {Object<string, string>} [options.files] Other vault files by path, such as notes.
+ * @param {Object} [options.data] The plugin's saved data.json, for example { enabledModules: { 'my-module': true } }.
+ * @returns {Promise<Harness>}
+ */
+async function createHarness(options = {}) {
+    installGlobals();
+    const pluginDir = options.pluginDir || nodePath.join(__dirname, '..');
+
+    const app = new App();
+    const harness = new Harness(app, null);
+    const { adapter } = app.vault;
+    if (options.data) app.pluginData = JSON.parse(JSON.stringify(options.data));
+
+    for (const name of PLUGIN_FILES) {
+        const source = nodePath.join(pluginDir, name);
+        if (fs.existsSync(source)) adapter.writeSync(`${PLUGIN_DIR}/${name}`, fs.readFileSync(source, 'utf8'));
+    }
+    for (const folder of PLUGIN_FOLDERS) {
+        const source = nodePath.join(pluginDir, folder);
+        if (!fs.existsSync(source)) continue;
+        for (const name of fs.readdirSync(source)) {
+            adapter.writeSync(`${PLUGIN_DIR}/${folder}/${name}`, fs.readFileSync(nodePath.join(source, name), 'utf8'));
+        }
+    }
+
+    // User modules go in the default folder unless the saved data names others
+    await adapter.mkdir(`${PLUGIN_DIR}/user-modules`);
+    for (const [name, source] of Object.entries(options.modules || {})) {
+        adapter.writeSync(`${PLUGIN_DIR}/user-modules/${name}`, source);
+    }
+    for (const [path, content] of Object.entries(options.files || {})) {
+        adapter.writeSync(normalizePath(path), content);
+    }
+
+    const manifestPath = `${PLUGIN_DIR}/manifest.json`;
+    const manifest = adapter.files.has(manifestPath)
+        ? JSON.parse(adapter.files.get(manifestPath))
+        : { id: PLUGIN_ID, name: 'Custom Modules', version: '0.0.0' };
+    manifest.dir = PLUGIN_DIR;
+
+    // A fresh copy of main.js per harness, so harnesses don't share module state
+    const mainPath = require.resolve(nodePath.join(pluginDir, 'main.js'));
+    delete require.cache[mainPath];
+    const CustomModulesPlugin = require(mainPath);
+
+    const plugin = new CustomModulesPlugin(app, manifest);
+    await plugin.load();
+    await app.workspace.ready();
+    harness.plugin = plugin;
+    return harness;
+}
+
+module.exports = { createHarness, Harness, App, Vault, InMemoryAdapter, Workspace, Editor, obsidian };
@@ -0,0 +1,907 @@
+// harness/obsidian.js - A stand-in for the parts of the Obsidian API the plugin and its modules use
+// Enough to load modules and drive them from Node. Rendering does nothing, and the DOM is a small fake.
+
+// Minimal DOM element with the helpers Obsidian adds to HTMLElement (createEl, empty, addClass, ...)
+class MockElement {
+    constructor(tagName = 'div') {
+        this.tagName = tagName.toUpperCase();
+        this.children = [];
+        this.parentElement = null;
+        this.attributes = {};
+        this.style = {};
+        this.dataset = {};
+        this.listeners = {};
+        this.ownText = '';
+        this.innerHTML = '';
+        this.value = '';
+        this.scrollTop = 0;
+        this.scrollHeight = 0;
+        this.clientHeight = 0;
+        const classes = new Set();
+        this.classList = {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            contains: name => classes.has(name),
+            toggle: (name, force = !classes.has(name)) => {
+                force ? classes.add(name) : classes.delete(name);
+                return force;
+            },
+            values: () => classes.values()
+        };
+    }
+
+    get className() {
+        return [...this.classList.values()].join(' ');
+    }
+
+    set className(value) {
+        [...this.classList.values()].forEach(name => this.classList.remove(name));
+        this.classList.add(...String(value).split(/\s+/).filter(Boolean));
+    }
+
+    get id() {
+        return this.attributes.id || '';
+    }
+
+    set id(value) {
+        this.attributes.id = value;
+    }
+
+    get textContent() {
+        return this.ownText + this.children.map(child => child.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.children = [];
+        this.ownText = String(value);
+    }
+
+    get firstChild() {
+        return this.children[0] || null;
+    }
+
+    // DOM
+
+    appendChild(child) {
+        if (child.parentElement) child.remove();
+        child.parentElement = this;
+        this.children.push(child);
+        return child;
+    }
+
+    append(...children) {
+        children.forEach(child => this.appendChild(child));
+    }
+
+    prepend(child) {
+        if (child.parentElement) child.remove();
+        child.parentElement = this;
+        this.children.unshift(child);
+    }
+
+    insertBefore(child, reference) {
+        if (!reference) return this.appendChild(child);
+        if (child.parentElement) child.remove();
+        child.parentElement = this;
+        this.children.splice(this.children.indexOf(reference), 0, child);
+        return child;
+    }
+
+    remove() {
+        if (!this.parentElement) return;
+        const siblings = this.parentElement.children;
+        siblings.splice(siblings.indexOf(this), 1);
+        this.parentElement = null;
+    }
+
+    setAttribute(name, value) {
+        if (name === 'class') this.className = value;
+        else this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        if (name === 'class') return this.className;
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    removeAttribute(name) {
+        delete this.attributes[name];
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(existing => existing !== listener);
+    }
+
+    dispatchEvent(event) {
+        event.target = event.target || this;
+        (this.listeners[event.type] || []).slice().forEach(listener => listener.call(this, event));
+        return true;
+    }
+
+    click() {
+        this.dispatchEvent({ type: 'click', preventDefault() {}, stopPropagation() {} });
+    }
+
+    contains(el) {
+        for (let node = el; node; node = node.parentElement) {
+            if (node === this) return true;
+        }
+        return false;
+    }
+
+    matches(selector) {
+        return selector.split(',').some(part => matchesCompound(this, part.trim()));
+    }
+
+    closest(selector) {
+        for (let node = this; node; node = node.parentElement) {
+            if (node.matches(selector)) return node;
+        }
+        return null;
+    }
+
+    // Supports tag, #id, .class and [attr] selectors, combined and with descendant spaces
+    querySelectorAll(selector) {
+        const results = [];
+        const walk = (el) => {
+            for (const child of el.children) {
+                if (selector.split(',').some(part => matchesDescendant(child, part.trim().split(/\s+/), this))) {
+                    results.push(child);
+                }
+                walk(child);
+            }
+        };
+        walk(this);
+        return results;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    getBoundingClientRect() {
+        return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 };
+    }
+
+    focus() {}
+    blur() {}
+    scrollIntoView() {}
+
+    // Obsidian helpers
+
+    createEl(tag, options = {}, callback) {
+        const el = new MockElement(tag);
+        if (typeof options === 'string') options = { cls: options };
+        if (options.cls) el.className = Array.isArray(options.cls) ? options.cls.join(' ') : options.cls;
+        if (options.text) el.setText(options.text);
+        if (options.attr) Object.entries(options.attr).forEach(([name, value]) => el.setAttribute(name, value));
+        if (options.title) el.setAttribute('title', options.title);
+        if (options.value !== undefined) el.value = options.value;
+        if (options.type) el.setAttribute('type', options.type);
+        if (options.placeholder) el.setAttribute('placeholder', options.placeholder);
+        if (options.href) el.setAttribute('href', options.href);
+        if (options.prepend) this.prepend(el);
+        else this.appendChild(el);
+        if (callback) callback(el);
+        return el;
+    }
+
+    createDiv(options, callback) {
+        return this.createEl('div', options, callback);
+    }
+
+    createSpan(options, callback) {
+        return this.createEl('span', options, callback);
+    }
+
+    empty() {
+        this.children.forEach(child => child.parentElement = null);
+        this.children = [];
+        this.ownText = '';
+        this.innerHTML = '';
+    }
+
+    setText(text) {
+        this.textContent = text;
+    }
+
+    appendText(text) {
+        this.ownText += text;
+    }
+
+    addClass(...names) {
+        this.classList.add(...names);
+    }
+
+    removeClass(...names) {
+        this.classList.remove(...names);
+    }
+
+    toggleClass(name, force) {
+        this.classList.toggle(name, force);
+    }
+
+    hasClass(name) {
+        return this.classList.contains(name);
+    }
+
+    setAttr(name, value) {
+        this.setAttribute(name, value);
+    }
+
+    detach() {
+        this.remove();
+    }
+
+    isShown() {
+        return this.style.display !== 'none';
+    }
+
+    show() {
+        this.style.display = '';
+    }
+
+    hide() {
+        this.style.display = 'none';
+    }
+
+    onClickEvent(listener) {
+        this.addEventListener('click', listener);
+    }
+}
+
+function matchesCompound(el, selector) {
+    const parts = selector.match(/[.#]?[\w-]+|\[[^\]]+\]/g) || [];
+    return parts.length > 0 && parts.every(part => {
+        if (part.startsWith('.')) return el.classList.contains(part.slice(1));
+        if (part.startsWith('#')) return el.id === part.slice(1);
+        if (part.startsWith('[')) {
+            const [name, value] = part.slice(1, -1).split('=');
+            const actual = el.getAttribute(name);
+            return value === undefined ? actual !== null : actual === value.replace(/^["']|["']$/g, '');
+        }
+        return el.tagName === part.toUpperCase();
+    });
+}
+
+// Whether el matches the last compound selector and its ancestors, up to root, match the ones before it
+function matchesDescendant(el, compounds, root) {
+    if (!matchesCompound(el, compounds[compounds.length - 1])) return false;
+    let remaining = compounds.length - 2;
+    for (let node = el.parentElement; node && node !== root && remaining >= 0; node = node.parentElement) {
+        if (matchesCompound(node, compounds[remaining])) remaining--;
+    }
+    return remaining < 0;
+}
+
+class MockDocument {
+    constructor() {
+        this.documentElement = new MockElement('html');
+        this.head = this.documentElement.createEl('head');
+        this.body = this.documentElement.createEl('body');
+    }
+
+    createElement(tag) {
+        return new MockElement(tag);
+    }
+
+    getElementById(id) {
+        return this.documentElement.querySelector(`#${id}`);
+    }
+
+    querySelector(selector) {
+        return this.documentElement.querySelector(selector);
+    }
+
+    querySelectorAll(selector) {
+        return this.documentElement.querySelectorAll(selector);
+    }
+
+    addEventListener() {}
+    removeEventListener() {}
+}
+
+// Events, with the same ref-based API as Obsidian's
+class Events {
+    constructor() {
+        this._events = {};
+    }
+
+    on(name, callback, ctx) {
+        const ref = { e: this, name, fn: callback, ctx };
+        (this._events[name] = this._events[name] || []).push(ref);
+        return ref;
+    }
+
+    off(name, callback) {
+        this._events[name] = (this._events[name] || []).filter(ref => ref.fn !== callback);
+    }
+
+    offref(ref) {
+        if (this._events[ref.name]) {
+            this._events[ref.name] = this._events[ref.name].filter(existing => existing !== ref);
+        }
+    }
+
+    trigger(name, ...args) {
+        for (const ref of (this._events[name] || []).slice()) {
+            this.tryTrigger(ref, args);
+        }
+    }
+
+    tryTrigger(ref, args) {
+        try {
+            ref.fn.apply(ref.ctx, args);
+        } catch (error) {
+            console.error(error);
+        }
+    }
+}
+
+class Component {
+    constructor() {
+        this._cleanups = [];
+        this._children = [];
+        this._loaded = false;
+    }
+
+    // Returns what onload returns, so the harness can wait for an async onload
+    load() {
+        this._loaded = true;
+        return this.onload();
+    }
+
+    onload() {}
+
+    unload() {
+        this._children.forEach(child => child.unload());
+        const result = this.onunload();
+        this._cleanups.splice(0).reverse().forEach(cleanup => cleanup());
+        this._loaded = false;
+        return result;
+    }
+
+    onunload() {}
+
+    addChild(child) {
+        this._children.push(child);
+        if (this._loaded) child.load();
+        return child;
+    }
+
+    removeChild(child) {
+        this._children = this._children.filter(existing => existing !== child);
+        child.unload();
+        return child;
+    }
+
+    register(cleanup) {
+        this._cleanups.push(cleanup);
+    }
+
+    registerEvent(ref) {
+        this.register(() => ref.e.offref(ref));
+    }
+
+    registerDomEvent(el, type, listener, options) {
+        el.addEventListener(type, listener, options);
+        this.register(() => el.removeEventListener(type, listener, options));
+    }
+
+    registerInterval(id) {
+        this.register(() => clearInterval(id));
+        return id;
+    }
+}
+
+class Plugin extends Component {
+    constructor(app, manifest) {
+        super();
+        this.app = app;
+        this.manifest = manifest;
+    }
+
+    // Like Obsidian, prefixes the id and name of the command object it is given
+    addCommand(command) {
+        command.id = `${this.manifest.id}:${command.id}`;
+        command.name = `${this.manifest.name}: ${command.name}`;
+        this.app.commands.addCommand(command);
+        this.register(() => this.app.commands.removeCommand(command.id));
+        return command;
+    }
+
+    removeCommand(commandId) {
+        this.app.commands.removeCommand(`${this.manifest.id}:${commandId}`);
+    }
+
+    addRibbonIcon(icon, title, callback) {
+        const el = this.app.ribbonEl.createDiv({ cls: 'side-dock-ribbon-action', attr: { 'aria-label': title } });
+        el.addEventListener('click', callback);
+        this.register(() => el.remove());
+        return el;
+    }
+
+    addStatusBarItem() {
+        const el = this.app.statusBarEl.createDiv({ cls: 'status-bar-item' });
+        this.register(() => el.remove());
+        return el;
+    }
+
+    registerView(type, viewCreator) {
+        this.app.viewRegistry.registerView(type, viewCreator);
+        this.register(() => this.app.viewRegistry.unregisterView(type));
+    }
+
+    registerEditorExtension(extension) {
+        this.app.workspace.editorExtensions.push(extension);
+    }
+
+    registerMarkdownPostProcessor() {}
+
+    addSettingTab(settingTab) {
+        this.app.setting.pluginTabs.push(settingTab);
+    }
+
+    async loadData() {
+        return this.app.pluginData === undefined ? null : JSON.parse(JSON.stringify(this.app.pluginData));
+    }
+
+    async saveData(data) {
+        this.app.pluginData = JSON.parse(JSON.stringify(data));
+    }
+}
+
+class PluginSettingTab {
+    constructor(app, plugin) {
+        this.app = app;
+        this.plugin = plugin;
+        this.containerEl = new MockElement('div');
+    }
+
+    display() {}
+    hide() {}
+}
+
+// Setting components keep their change handler, so a test can call setValue() and then onChange()
+class ValueComponent {
+    constructor(containerEl, tag = 'input') {
+        this.inputEl = containerEl.createEl(tag);
+        this.value = undefined;
+        this.changeCallback = null;
+        this.disabled = false;
+    }
+
+    getValue() {
+        return this.value;
+    }
+
+    setValue(value) {
+        this.value = value;
+        return this;
+    }
+
+    onChange(callback) {
+        this.changeCallback = callback;
+        return this;
+    }
+
+    // Sets a value the way a user would, running the change handler
+    change(value) {
+        this.setValue(value);
+        return this.changeCallback ? this.changeCallback(value) : undefined;
+    }
+
+    setPlaceholder() { return this; }
+    setDisabled(disabled) { this.disabled = this.inputEl.disabled = disabled; return this; }
+    setLimits() { return this; }
+    setDynamicTooltip() { return this; }
+    setTooltip(tooltip) { this.inputEl.setAttribute('aria-label', tooltip); return this; }
+    addOption(value, label) { (this.options = this.options || {})[value] = label; return this; }
+    addOptions(options) { Object.assign(this.options = this.options || {}, options); return this; }
+    then(callback) { callback(this); return this; }
+}
+
+class ButtonComponent {
+    constructor(containerEl) {
+        this.buttonEl = containerEl.createEl('button');
+        this.clickCallback = null;
+        this.disabled = false;
+    }
+
+    onClick(callback) {
+        this.clickCallback = callback;
+        this.buttonEl.addEventListener('click', callback);
+        return this;
+    }
+
+    click() {
+        return this.clickCallback ? this.clickCallback() : undefined;
+    }
+
+    setButtonText(text) { this.buttonEl.setText(text); return this; }
+    setIcon() { return this; }
+    setTooltip() { return this; }
+    setCta() { return this; }
+    setWarning() { return this; }
+    setClass(cls) { this.buttonEl.addClass(cls); return this; }
+    setDisabled(disabled) { this.disabled = disabled; return this; }
+}
+
+class Setting {
+    constructor(containerEl) {
+        this.settingEl = containerEl.createDiv({ cls: 'setting-item' });
+        this.infoEl = this.settingEl.createDiv({ cls: 'setting-item-info' });
+        this.nameEl = this.infoEl.createDiv({ cls: 'setting-item-name' });
+        this.descEl = this.infoEl.createDiv({ cls: 'setting-item-description' });
+        this.controlEl = this.settingEl.createDiv({ cls: 'setting-item-control' });
+        this.components = [];
+    }
+
+    setName(name) { this.nameEl.setText(name); return this; }
+    setDesc(desc) { typeof desc === 'string' ? this.descEl.setText(desc) : this.descEl.appendChild(desc); return this; }
+    setClass(cls) { this.settingEl.addClass(cls); return this; }
+    setHeading() { this.settingEl.addClass('setting-item-heading'); return this; }
+    setTooltip() { return this; }
+    setDisabled() { return this; }
+    then(callback) { callback(this); return this; }
+
+    addComponent(component, callback) {
+        this.components.push(component);
+        callback(component);
+        return this;
+    }
+
+    addText(callback) { return this.addComponent(new ValueComponent(this.controlEl), callback); }
+    addTextArea(callback) { return this.addComponent(new ValueComponent(this.controlEl, 'textarea'), callback); }
+    addSearch(callback) { return this.addComponent(new ValueComponent(this.controlEl), callback); }
+    addToggle(callback) { return this.addComponent(new ValueComponent(this.controlEl), callback); }
+    addSlider(callback) { return this.addComponent(new ValueComponent(this.controlEl), callback); }
+    addDropdown(callback) { return this.addComponent(new ValueComponent(this.controlEl, 'select'), callback); }
+    addColorPicker(callback) { return this.addComponent(new ValueComponent(this.controlEl), callback); }
+    addMomentFormat(callback) { return this.addComponent(new ValueComponent(this.controlEl), callback); }
+    addButton(callback) { return this.addComponent(new ButtonComponent(this.controlEl), callback); }
+    addExtraButton(callback) { return this.addComponent(new ButtonComponent(this.controlEl), callback); }
+}
+
+class Modal {
+    constructor(app) {
+        this.app = app;
+        this.modalEl = new MockElement('div');
+        this.titleEl = this.modalEl.createDiv({ cls: 'modal-title' });
+        this.contentEl = this.modalEl.createDiv({ cls: 'modal-content' });
+        this.scope = { register() {}, unregister() {} };
+        this.isOpen = false;
+    }
+
+    open() {
+        this.isOpen = true;
+        this.app.openModals.push(this);
+        this.onOpen();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.app.openModals.splice(this.app.openModals.indexOf(this), 1);
+        this.onClose();
+    }
+
+    setTitle(title) {
+        this.titleEl.setText(title);
+        return this;
+    }
+
+    onOpen() {}
+    onClose() {}
+}
+
+class SuggestModal extends Modal {
+    constructor(app) {
+        super(app);
+        this.inputEl = this.modalEl.createEl('input');
+        this.chooser = { useSelectedItem() {} };
+    }
+
+    setPlaceholder(placeholder) { this.inputEl.setAttribute('placeholder', placeholder); }
+    setInstructions() {}
+    getSuggestions() { return []; }
+    renderSuggestion() {}
+    onChooseSuggestion() {}
+}
+
+class FuzzySuggestModal extends SuggestModal {
+    getSuggestions(query) {
+        const lowerQuery = query.toLowerCase();
+        return this.getItems()
+            .filter(item => this.getItemText(item).toLowerCase().includes(lowerQuery))
+            .map(item => ({ item, match: { score: 0, matches: [] } }));
+    }
+
+    renderSuggestion(match, el) {
+        el.setText(this.getItemText(match.item));
+    }
+
+    onChooseSuggestion(match, evt) {
+        this.onChooseItem(match.item, evt);
+    }
+}
+
+class AbstractInputSuggest {
+    constructor(app, inputEl) {
+        this.app = app;
+        this.inputEl = inputEl;
+    }
+
+    setValue(value) { this.inputEl.value = value; }
+    getValue() { return this.inputEl.value; }
+    onSelect() { return this; }
+    close() {}
+}
+
+class Notice {
+    constructor(message, timeout) {
+        this.message = message instanceof MockElement ? message.textContent : String(message);
+        this.timeout = timeout;
+        this.noticeEl = new MockElement('div');
+        Notice.messages.push(this.message);
+    }
+
+    setMessage(message) {
+        this.message = String(message);
+        return this;
+    }
+
+    hide() {}
+}
+
+// Every notice shown since the harness started, oldest first
+Notice.messages = [];
+
+class TAbstractFile {
+    constructor(vault, path) {
+        this.vault = vault;
+        this.path = path;
+        this.name = path.split('/').pop();
+    }
+
+    get parent() {
+        const folderPath = this.path.includes('/') ? this.path.slice(0, this.path.lastIndexOf('/')) : '/';
+        return this.path === '/' ? null : this.vault.getFolder(folderPath);
+    }
+}
+
+class TFile extends TAbstractFile {
+    get extension() {
+        return this.name.includes('.') ? this.name.split('.').pop() : '';
+    }
+
+    get basename() {
+        return this.extension ? this.name.slice(0, -(this.extension.length + 1)) : this.name;
+    }
+
+    get stat() {
+        return this.vault.adapter.statSync(this.path);
+    }
+}
+
+class TFolder extends TAbstractFile {
+    get children() {
+        return this.vault.getChildren(this.path);
+    }
+
+    isRoot() {
+        return this.path === '/';
+    }
+}
+
+class View extends Component {
+    constructor(leaf) {
+        super();
+        this.leaf = leaf;
+        this.app = leaf.app;
+        this.containerEl = new MockElement('div');
+        this.containerEl.addClass('workspace-leaf-content');
+    }
+
+    getViewType() { return ''; }
+    getDisplayText() { return ''; }
+    getIcon() { return ''; }
+    getState() { return {}; }
+    async setState() {}
+    async onOpen() {}
+    async onClose() {}
+}
+
+class ItemView extends View {
+    constructor(leaf) {
+        super(leaf);
+        const headerEl = this.containerEl.createDiv({ cls: 'view-header' });
+        this.titleEl = headerEl.createDiv({ cls: 'view-header-title' });
+        this.actionsEl = headerEl.createDiv({ cls: 'view-actions' });
+        this.contentEl = this.containerEl.createDiv({ cls: 'view-content' });
+    }
+
+    addAction(icon, title, callback) {
+        const el = new MockElement('a');
+        el.className = 'clickable-icon view-action';
+        el.setAttribute('aria-label', title);
+        el.addEventListener('click', callback);
+        this.actionsEl.prepend(el);
+        return el;
+    }
+}
+
+// A Markdown tab in source mode; its editor is a harness Editor
+class MarkdownView extends ItemView {
+    constructor(leaf, editor) {
+        super(leaf);
+        this.editor = editor;
+        this.file = null;
+        this.contentEl.createDiv({ cls: 'markdown-source-view cm-s-obsidian mod-cm6' });
+    }
+
+    getViewType() { return 'markdown'; }
+    getMode() { return 'source'; }
+    getViewData() { return this.editor.getValue(); }
+    setViewData(data) { this.editor.setValue(data); }
+    getDisplayText() { return this.file ? this.file.basename : ''; }
+}
+
+class WorkspaceLeaf {
+    constructor(app, side = 'main') {
+        this.app = app;
+        this.side = side;
+        this.view = null;
+    }
+
+    getViewState() {
+        return { type: this.view ? this.view.getViewType() : 'empty', state: this.view ? this.view.getState() : {} };
+    }
+
+    async setViewState({ type, state }) {
+        await this.setView(this.app.viewRegistry.createView(type, this));
+        if (state) await this.view.setState(state, {});
+    }
+
+    // Replaces the view with a new one of the same type, as Obsidian does when a view type is registered again
+    async rebuildView() {
+        await this.setViewState(this.getViewState());
+    }
+
+    async setView(view) {
+        if (this.view) await this.closeView();
+        this.view = view;
+        // In the document like Obsidian's views, so document queries find them
+        this.app.workspace.containerEl.appendChild(view.containerEl);
+        view.load();
+        await view.onOpen();
+        this.app.workspace.trigger('layout-change');
+    }
+
+    async closeView() {
+        const view = this.view;
+        this.view = null;
+        await view.onClose();
+        view.unload();
+        view.containerEl.remove();
+    }
+
+    // Opens a file in a MarkdownView; see Workspace.openNote in the harness
+    async openFile(file) {
+        await this.app.workspace.openNote(file.path, undefined, this);
+    }
+
+    detach() {
+        this.app.workspace.detachLeaf(this);
+    }
+
+    getDisplayText() {
+        return this.view ? this.view.getDisplayText() : '';
+    }
+}
+
+const Platform = {
+    isDesktop: true,
+    isMobile: false,
+    isDesktopApp: true,
+    isMobileApp: false,
+    isMacOS: process.platform === 'darwin',
+    isWin: process.platform === 'win32',
+    isLinux: process.platform === 'linux',
+    isIosApp: false,
+    isAndroidApp: false,
+    isPhone: false,
+    isTablet: false
+};
+
+const Keymap = {
+    isModEvent(event) {
+        return Boolean(event && (event.ctrlKey || event.metaKey));
+    },
+    isModifier(event, modifier) {
+        const keys = { Mod: event.ctrlKey || event.metaKey, Ctrl: event.ctrlKey, Meta: event.metaKey, Shift: event.shiftKey, Alt: event.altKey };
+        return Boolean(keys[modifier]);
+    }
+};
+
+class Scope {
+    register() { return {}; }
+    unregister() {}
+}
+
+class Menu {
+    constructor() {
+        this.items = [];
+    }
+
+    addItem(callback) {
+        const item = {
+            title: '', icon: null, callback: null,
+            setTitle(title) { this.title = title; return this; },
+            setIcon(icon) { this.icon = icon; return this; },
+            setSection() { return this; },
+            setChecked() { return this; },
+            setDisabled() { return this; },
+            onClick(onClick) { this.callback = onClick; return this; }
+        };
+        this.items.push(item);
+        callback(item);
+        return this;
+    }
+
+    addSeparator() { return this; }
+    showAtMouseEvent() { return this; }
+    showAtPosition() { return this; }
+    hide() { return this; }
+}
+
+function normalizePath(path) {
+    return path.replace(/\\/g, '/').replace(/\/+/g, '/').replace(/^\/|\/$/g, '') || '/';
+}
+
+function debounce(callback, timeout = 0, resetTimer = false) {
+    let timer = null;
+    const debounced = (...args) => {
+        if (timer && !resetTimer) return debounced;
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timer = null;
+            callback(...args);
+        }, timeout);
+        return debounced;
+    };
+    debounced.cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+        return debounced;
+    };
+    return debounced;
+}
+
+// There is no network in the harness; modules that need one should take their client as a service
+async function requestUrl(request) {
+    const url = typeof request === 'string' ? request : request.url;
+    throw new Error(`requestUrl(${url}) is not available in the harness`);
+}
+
+async function request(options) {
+    return requestUrl(options);
+}
+
+module.exports = {
+    MockElement, MockDocument,
+    Events, Component, Plugin, PluginSettingTab, Setting, ValueComponent, ButtonComponent,
+    Modal, SuggestModal, FuzzySuggestModal, AbstractInputSuggest, Notice,
+    TAbstractFile, TFile, TFolder,
+    View, ItemView, MarkdownView, WorkspaceLeaf,
+    Platform, Keymap, Scope, Menu,
+    normalizePath, debounce, requestUrl, request,
+    setIcon(el, icon) { el.setAttribute('data-icon', icon); },
+    setTooltip(el, tooltip) { el.setAttribute('aria-label', tooltip); },
+    MarkdownRenderer: { async render() {}, async renderMarkdown() {} },
+    apiVersion: '1.7.2'
+};
@@ -1,327 +1,4817 @@
 // main.js - Core Plugin Framework
-const { Plugin, MarkdownView, WorkspaceLeaf, Setting, PluginSettingTab, setIcon, Notice } = require('obsidian');
-const path = require('path');
+const { Plugin, MarkdownView, ItemView, WorkspaceLeaf, Setting, PluginSettingTab, Modal, SuggestModal, FuzzySuggestModal, setIcon, Notice, Events, TFolder, AbstractInputSuggest, Platform, debounce } = require('obsidian');
+
+/**
+ * Path helpers for vault paths, in place of Node's path module, which the mobile apps don't have.
+ * Vault paths use forward slashes on every platform; backslashes are read as separators too.
+ */
+const paths = {
+    // Resolves "." and ".." segments and removes duplicate and trailing slashes
+    normalize(filepath) {
+        const isAbsolute = filepath.startsWith('/');
+        const parts = [];
+        for (const part of filepath.replace(/\\/g, '/').split('/')) {
+            if (part === '' || part === '.') continue;
+            if (part === '..' && parts.length > 0 && parts[parts.length - 1] !== '..') {
+                parts.pop();
+            } else if (part !== '..' || !isAbsolute) {
+                parts.push(part);
+            }
+        }
+        const normalized = (isAbsolute ? '/' : '') + parts.join('/');
+        return normalized || '.';
+    },
+
+    join(...segments) {
+        return paths.normalize(segments.filter(segment => segment !== '').join('/'));
+    },
+
+    dirname(filepath) {
+        const slashed = filepath.replace(/\\/g, '/');
+        const index = slashed.lastIndexOf('/');
+        if (index === -1) return '.';
+        return index === 0 ? '/' : slashed.slice(0, index);
+    },
+
+    // The last segment, without ext if given and it ends with it
+    basename(filepath, ext) {
+        const slashed = filepath.replace(/\\/g, '/');
+        const base = slashed.slice(slashed.lastIndexOf('/') + 1);
+        return ext && base.endsWith(ext) && base !== ext ? base.slice(0, -ext.length) : base;
+    },
+
+    // The extension including its dot, or '' for none; a leading dot starts a name, not an extension
+    extname(filepath) {
+        const base = paths.basename(filepath);
+        const index = base.lastIndexOf('.');
+        return index > 0 ? base.slice(index) : '';
+    }
+};
 
 // Default settings
 const DEFAULT_SETTINGS = {
     enabledModules: {},
     moduleSettings: {},
-    userModulesFolder: ''
+    userModulesFolders: [],
+    hotReload: true,
+    restrictUndeclaredModules: false,
+    autoDisableCrashingModules: false,
+    crashThreshold: 3,
+    settingsVersion: 0,
+    moduleSettingsVersions: {},
+    archivedModuleSettings: {},
+    profilesFolder: 'Module Profiles',
+    // Lowest log level kept per module id; modules not listed use DEFAULT_LOG_LEVEL
+    moduleLogLevels: {},
+    // View action keys ("<module id>:<action id>") in the order their buttons appear, and those the user hid
+    viewActionOrder: [],
+    hiddenViewActions: [],
+    // CSS added after each module's own styles while it is enabled, by module id
+    moduleCssOverrides: {}
+};
+
+// Version of the data.json layout; bump it and add a migration when the layout changes
+const SETTINGS_VERSION = 2;
+
+// Upgrades saved data to each version, keyed by the version it produces
+const SETTINGS_MIGRATIONS = {
+    // The first module framework kept one flag per built-in feature at the top level
+    1: (data) => {
+        const legacyFlags = {
+            bracketLinkFix: 'core-bracket-link-fix',
+            whiteCanvasMode: 'core-white-canvas-mode',
+            smartifyQuotes: 'core-smartify-quotes',
+            bulkCreate: 'core-bulk-create'
+        };
+        data.enabledModules = data.enabledModules || {};
+        for (const [key, moduleId] of Object.entries(legacyFlags)) {
+            if (key in data && !(moduleId in data.enabledModules)) {
+                data.enabledModules[moduleId] = !!data[key];
+            }
+            delete data[key];
+        }
+    },
+
+    // A single user modules folder became a list of folders
+    2: (data) => {
+        if (data.userModulesFolder) {
+            data.userModulesFolders = [data.userModulesFolder];
+        }
+        delete data.userModulesFolder;
+    }
 };
 
+// Version of the profile file format
+const PROFILE_VERSION = 1;
+
+// Archived settings of modules that have not been seen for this long are deleted
+const ARCHIVE_RETENTION_DAYS = 180;
+
+// Merges saved values over defaults, keeping only known top-level keys and dropping values of the wrong type
+function mergeSettings(defaults, saved) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const merged = {};
+
+    for (const [key, defaultValue] of Object.entries(defaults)) {
+        const value = saved[key];
+        if (value === undefined) {
+            merged[key] = structuredClone(defaultValue);
+        } else if (isObject(defaultValue)) {
+            merged[key] = isObject(value) ? { ...structuredClone(defaultValue), ...value } : structuredClone(defaultValue);
+        } else if (Array.isArray(defaultValue)) {
+            merged[key] = Array.isArray(value) ? value : structuredClone(defaultValue);
+        } else {
+            merged[key] = typeof value === typeof defaultValue ? value : defaultValue;
+        }
+    }
+
+    return merged;
+}
+
+// Field types a module's settings schema may use
+const SETTING_FIELD_TYPES = ['toggle', 'text', 'number', 'dropdown', 'slider', 'textarea', 'folder', 'list'];
+
+// A hotkey as shown to the user, e.g. "Ctrl + Alt + B"
+function formatHotkey(hotkey) {
+    const names = Platform.isMacOS
+        ? { Mod: 'Cmd', Ctrl: 'Ctrl', Meta: 'Cmd', Alt: 'Option', Shift: 'Shift' }
+        : { Mod: 'Ctrl', Ctrl: 'Ctrl', Meta: 'Win', Alt: 'Alt', Shift: 'Shift' };
+    const key = hotkey.key.length === 1 ? hotkey.key.toUpperCase() : hotkey.key;
+    return [...hotkey.modifiers.map(modifier => names[modifier] || modifier), key].join(' + ');
+}
+
+// A hotkey in a form where two bindings of the same keys compare equal; Mod means Cmd on macOS and Ctrl elsewhere
+function getHotkeyCombo(hotkey) {
+    const modifiers = hotkey.modifiers.map(modifier => modifier === 'Mod' ? (Platform.isMacOS ? 'Meta' : 'Ctrl') : modifier);
+    return [...new Set(modifiers)].sort().concat(hotkey.key.toLowerCase()).join('+');
+}
+
+// Compares dotted version strings numerically; returns a negative number, zero or a positive number
+function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(part => parseInt(part) || 0);
+    const partsB = String(b).split('.').map(part => parseInt(part) || 0);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+// Platforms a module can declare in manifest.platforms or a "// @platforms" header line
+const MODULE_PLATFORMS = ['desktop', 'mobile'];
+
+// The platform the plugin is running on; 'mobile' covers phones and tablets
+function getCurrentPlatform() {
+    return Platform.isDesktopApp ? 'desktop' : 'mobile';
+}
+
+// Why a module for the given platforms can't run here, or null if it can or declares none
+function getPlatformProblem(platforms) {
+    if (!Array.isArray(platforms) || platforms.includes(getCurrentPlatform())) return null;
+    return `only runs on ${platforms.join(' and ')}`;
+}
+
+// The words after "@tag" in a module file's header comments, e.g. "// @capabilities vault network", or null if absent
+function parseHeaderTag(code, tag) {
+    const match = code.match(new RegExp(`^\\s*(?:\\/\\/|\\*|\\/\\*)\\s*@${tag}\\b(.*)$`, 'm'));
+    if (!match) return null;
+    return match[1].replace(/\*\/\s*$/, '').split(/[\s,]+/).filter(Boolean);
+}
+
+// What can start a module that lists activationEvents in its manifest, rather than starting it with Obsidian
+const ACTIVATION_EVENT_TYPES = ['onCommand', 'onRibbon', 'onView', 'onFileExtension', 'onFrontmatter'];
+
+// Local storage key for this device's name, which picks its overrides file
+const DEVICE_NAME_KEY = 'custom-modules-device-name';
+
+// Local storage key for the module cards expanded in the settings tab
+const EXPANDED_MODULES_KEY = 'custom-modules-expanded';
+
+// Delay before a changed user module file is reloaded, so editors that write in bursts only trigger one reload
+const HOT_RELOAD_DELAY = 300;
+
+// Module log levels from least to most severe; 'off' keeps nothing
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'off'];
+const DEFAULT_LOG_LEVEL = 'info';
+
+// How many log entries the plugin keeps across all modules
+const LOG_BUFFER_SIZE = 1000;
+
+const MODULE_INSPECTOR_VIEW = 'custom-modules-inspector';
+
+// A handler slower than this on average blocks a frame, which shows as typing lag
+const SLOW_HANDLER_MS = 16;
+// Enabling a module slower than this delays startup noticeably
+const SLOW_ENABLE_MS = 500;
+
+// The real plugin behind each module, sandbox and facade, kept where module code cannot reach it
+const pluginHosts = new WeakMap();
+
+function hostOf(owner) {
+    return pluginHosts.get(owner);
+}
+
 // Base class for all plugin modules (exported for user modules)
 class PluginModule {
     constructor(plugin) {
+        // A sandboxed module is handed a facade; the framework works with the plugin behind it
+        pluginHosts.set(this, hostOf(plugin) || plugin);
         this.plugin = plugin;
         this.app = plugin.app;
         this.enabled = false;
         this.id = this.constructor.name;
         this.name = this.id;
         this.description = '';
+        // Ids of modules that must be enabled before this one, and of modules that cannot run alongside it
+        this.dependencies = [];
+        this.conflicts = [];
+        // Everything registered through the module-scoped helpers below, undone on disable
+        this.resources = [];
+        // Health: the most recent failure ({ phase, message, stack, time }) and how many failures so far
+        this.lastError = null;
+        this.errorCount = 0;
+        // this.log.debug/info/warn/error, shown in the console and the Module Inspector
+        this.log = new ModuleLogger(this);
     }
 
     async enable() {
         if (this.enabled) return;
         this.enabled = true;
-        await this.onEnable();
+        try {
+            await this.onEnable();
+            hostOf(this).styles.applyOverrides(this.id);
+        } catch (error) {
+            // Roll back whatever onEnable registered before it failed
+            this.enabled = false;
+            hostOf(this).services.revokeAll(this.id);
+            this.releaseResources();
+            throw error;
+        }
     }
 
     async disable() {
         if (!this.enabled) return;
         this.enabled = false;
-        await this.onDisable();
+        // Withdraw services first so consumers stop calling into a module that is shutting down
+        hostOf(this).services.revokeAll(this.id);
+        try {
+            await this.onDisable();
+        } finally {
+            this.releaseResources();
+            hostOf(this).styles.removeOverrides(this.id);
+        }
     }
 
-    async onEnable() {
-        // Override in subclasses
+    // Undoes registrations newest first, so later ones never outlive what they were built on
+    releaseResources() {
+        const resources = this.resources.reverse();
+        this.resources = [];
+        for (const resource of resources) {
+            try {
+                resource.dispose();
+            } catch (error) {
+                console.error(`Error releasing ${resource.type} "${resource.label}" of ${this.name}:`, error);
+            }
+        }
     }
 
-    async onDisable() {
-        // Override in subclasses
+    /**
+     * Records something the module registered so it can be undone on disable.
+     * @param {string} type The kind of resource, e.g. 'command' or 'event'.
+     * @param {string} label A human-readable name for the resource.
+     * @param {function(): void} dispose Undoes the registration.
+     * @param {*} target What was registered, for listing, e.g. a command's full id and name.
+     */
+    trackResource(type, label, dispose, target = null) {
+        this.resources.push({ type, label, dispose, target });
     }
 
-    getSettings() {
-        return this.plugin.settings.moduleSettings[this.id] || {};
+    // Runs a cleanup callback when the module is disabled
+    register(callback) {
+        this.trackResource('callback', callback.name || 'cleanup', callback);
     }
 
-    async saveSettings(settings) {
-        this.plugin.settings.moduleSettings[this.id] = settings;
-        await this.plugin.saveSettings();
+    // The full ids and names of the commands this module has added while enabled
+    getCommands() {
+        return this.resources.filter(resource => resource.type === 'command').map(resource => resource.target);
     }
 
-    // Method for modules to add their own settings
-    addSettings(containerEl) {
-        // Override in subclasses to add custom settings
+    addCommand(command) {
+        // Failures inside command callbacks are recorded against this module
+        command = { ...command };
+        for (const key of ['callback', 'checkCallback', 'editorCallback', 'editorCheckCallback']) {
+            if (command[key]) {
+                command[key] = hostOf(this).registry.guard(this, command[key], `command "${command.name}"`);
+            }
+        }
+
+        // Obsidian prefixes the id and name of the command object it is given
+        const { id, name } = command;
+        const registered = hostOf(this).addCommand(command);
+        this.trackResource('command', name, () => hostOf(this).removePluginCommand(id), {
+            id: `${hostOf(this).manifest.id}:${id}`,
+            name
+        });
+        return registered;
     }
-}
 
-// Module Registry - manages all modules
-class ModuleRegistry {
-    constructor(plugin) {
-        this.plugin = plugin;
-        this.modules = new Map();
-        this.moduleOrder = [];
+    registerEvent(eventRef) {
+        // Obsidian calls eventRef.fn when the event fires, so wrapping it catches handler failures
+        if (typeof eventRef.fn === 'function') {
+            eventRef.fn = hostOf(this).registry.guard(this, eventRef.fn, `${eventRef.name || 'event'} handler`);
+        }
+        this.trackResource('event', eventRef.name || 'event', () => eventRef.e.offref(eventRef));
+        return eventRef;
     }
 
-    register(moduleClass, options = {}) {
-        const module = new moduleClass(this.plugin);
+    registerDomEvent(el, type, callback, options) {
+        const handler = hostOf(this).registry.guard(this, callback, `${type} handler`);
+        el.addEventListener(type, handler, options);
+        this.trackResource('dom-event', type, () => el.removeEventListener(type, handler, options));
+    }
 
-        if (options.id) module.id = options.id;
-        if (options.name) module.name = options.name;
-        if (options.description) module.description = options.description;
+    registerInterval(id) {
+        this.trackResource('interval', String(id), () => clearInterval(id));
+        return id;
+    }
 
-        this.modules.set(module.id, module);
-        this.moduleOrder.push(module.id);
+    // Runs a callback every few milliseconds while enabled; failures and time spent count against this module
+    addInterval(callback, timeout) {
+        const handler = hostOf(this).registry.guard(this, callback, `interval (${timeout} ms)`);
+        return this.registerInterval(window.setInterval(handler, timeout));
+    }
 
-        return module;
+    addStatusBarItem() {
+        const el = hostOf(this).addStatusBarItem();
+        this.trackResource('status-bar-item', 'status bar item', () => el.remove());
+        return el;
     }
 
-    unregister(moduleId) {
-        const module = this.modules.get(moduleId);
-        if (module && module.enabled) {
-            module.disable();
-        }
-        this.modules.delete(moduleId);
-        const index = this.moduleOrder.indexOf(moduleId);
-        if (index > -1) {
-            this.moduleOrder.splice(index, 1);
+    addRibbonIcon(icon, title, callback) {
+        const el = hostOf(this).addRibbonIcon(icon, title, callback);
+        this.trackResource('ribbon-icon', title, () => el.remove(), { icon, title, callback });
+        return el;
+    }
+
+    registerView(type, viewCreator) {
+        hostOf(this).registerView(type, viewCreator);
+        this.trackResource('view', type, () => {
+            this.app.workspace.detachLeavesOfType(type);
+            this.app.viewRegistry.unregisterView(type);
+        });
+    }
+
+    /**
+     * Adds CSS to the document while the module is enabled. The user's CSS overrides for the module come after it.
+     * @param {string} css
+     * @param {Object} [options]
+     * @param {string} [options.id] Calling again with the same id replaces that CSS instead of adding more.
+     * @returns {HTMLStyleElement}
+     */
+    addStyle(css, options = {}) {
+        const { key, el, created } = hostOf(this).styles.add(this.id, css, options.id);
+        if (created) {
+            this.trackResource('style', options.id || 'style', () => hostOf(this).styles.remove(key));
         }
+        return el;
     }
 
-    getModule(moduleId) {
-        return this.modules.get(moduleId);
+    /**
+     * Adds a button to the header of views, left of Obsidian's own. Users can reorder and hide it in the settings tab.
+     * @param {Object} action
+     * @param {string} action.id Unique within the module.
+     * @param {string} action.icon A Lucide icon name.
+     * @param {string} action.tooltip Shown on hover, and in the settings tab.
+     * @param {string} [action.activeTooltip] Shown on hover instead while the button is active.
+     * @param {string[]} [action.viewTypes] The view types that get the button; ['markdown'] by default.
+     * @param {function(View, MouseEvent): void} action.onClick Receives the view whose button was clicked.
+     * @param {function(View): boolean} [action.isActive] Highlights the button while true. Checked after clicks and when views change.
+     */
+    addViewAction(action) {
+        const key = hostOf(this).viewActions.add(this, action);
+        this.trackResource('view-action', action.tooltip, () => hostOf(this).viewActions.remove(key));
     }
 
-    getAllModules() {
-        return this.moduleOrder.map(id => this.modules.get(id));
+    // Checks the active state of view action buttons again, after it changed other than by a click
+    refreshViewActions() {
+        hostOf(this).viewActions.refresh();
     }
 
-    async enableModule(moduleId) {
-        const module = this.modules.get(moduleId);
-        if (module) {
-            await module.enable();
-            this.plugin.settings.enabledModules[moduleId] = true;
-            await this.plugin.saveSettings();
-        }
+    registerEditorExtension(extension) {
+        if (this.sandbox) this.sandbox.assert('editor', 'register editor extensions');
+        // The plugin registers one shared array at load; modules add to and remove from it
+        hostOf(this).editorExtensions.push(extension);
+        this.app.workspace.updateOptions();
+        this.trackResource('editor-extension', 'editor extension', () => {
+            const index = hostOf(this).editorExtensions.indexOf(extension);
+            if (index > -1) hostOf(this).editorExtensions.splice(index, 1);
+            this.app.workspace.updateOptions();
+        });
     }
 
-    async disableModule(moduleId) {
-        const module = this.modules.get(moduleId);
-        if (module) {
-            await module.disable();
-            this.plugin.settings.enabledModules[moduleId] = false;
-            await this.plugin.saveSettings();
-        }
+    async onEnable() {
+        // Override in subclasses
     }
 
-    async disableAll() {
-        for (const module of this.modules.values()) {
-            await module.disable();
+    async onDisable() {
+        // Override in subclasses
+    }
+
+    // The optional static manifest declared on the module class
+    get manifest() {
+        return this.constructor.manifest || {};
+    }
+
+    // Default values declared by the settings schema in the manifest
+    getSettingsDefaults() {
+        const defaults = {};
+        for (const field of this.manifest.settings || []) {
+            if (field.default !== undefined) {
+                defaults[field.key] = Array.isArray(field.default) ? [...field.default] : field.default;
+            }
         }
+        return defaults;
     }
-}
 
-// Settings Tab
-class CustomModulesSettingTab extends PluginSettingTab {
-    constructor(app, plugin) {
-        super(app, plugin);
-        this.plugin = plugin;
+    getSettings() {
+        return { ...this.getSettingsDefaults(), ...hostOf(this).getModuleSettings(this.id) };
     }
 
-    display() {
-        const { containerEl } = this;
-        containerEl.empty();
+    async saveSettings(settings) {
+        await this.changeSettings(() => hostOf(this).setModuleSettings(this.id, settings));
+    }
 
-        containerEl.createEl('h2', { text: 'Custom Modules Settings' });
+    // Saves settings after running change, which updates them, then tells the module which values changed
+    async changeSettings(change) {
+        const previous = this.getSettings();
+        change();
+        await hostOf(this).saveSettings();
 
-        new Setting(containerEl)
-        .setName('User modules folder')
-        .setDesc('Path to your folder for user-created modules, relative to the vault root. Leave blank to use the default "user-modules" folder inside the plugin directory.')
-        .addText(text => text
-            .setPlaceholder('Example: scripts/modules')
-            .setValue(this.plugin.settings.userModulesFolder)
-            .onChange(async (value) => {
-                this.plugin.settings.userModulesFolder = value.trim();
-                await this.plugin.saveSettings();
-            }));
+        const current = this.getSettings();
+        const diff = {};
+        for (const key of new Set([...Object.keys(previous), ...Object.keys(current)])) {
+            if (JSON.stringify(previous[key]) !== JSON.stringify(current[key])) {
+                diff[key] = current[key];
+            }
+        }
 
-        containerEl.createEl('hr');
+        if (this.enabled && Object.keys(diff).length > 0) {
+            await hostOf(this).registry.guard(this, () => this.onSettingsChanged(diff), 'onSettingsChanged')();
+        }
+    }
 
-        // Core modules section
-        const coreSection = containerEl.createEl('div', { cls: 'custom-modules-core-section' });
-        coreSection.createEl('h3', { text: 'Core Modules' });
+    // Saves some settings, keeping the rest as they are
+    async updateSettings(changes) {
+        await this.saveSettings({ ...hostOf(this).getModuleSettings(this.id), ...changes });
+    }
 
-        // User modules section
-        const userSection = containerEl.createEl('div', { cls: 'custom-modules-user-section' });
-        userSection.createEl('h3', { text: 'User Modules' });
+    /**
+     * Called while the module is enabled whenever its saved settings change.
+     * @param {Object} diff The changed keys and their new values.
+     */
+    async onSettingsChanged(diff) {
+        // Override in subclasses
+    }
 
-        let hasCoreModules = false;
-        let hasUserModules = false;
+    /**
+     * Upgrades settings saved under an older manifest.settingsVersion. Runs once when the module is loaded.
+     * @param {number} fromVersion The settings version the settings were saved with (0 if none).
+     * @param {Object} settings A copy of the saved settings.
+     * @returns {Object} The settings to save under the current version.
+     */
+    migrate(fromVersion, settings) {
+        return settings;
+    }
 
-        // Display all registered modules
-        for (const module of this.plugin.registry.getAllModules()) {
-            const isCore = module.id.startsWith('core-');
-            const section = isCore ? coreSection : userSection;
+    // Method for modules to add their own settings; renders the manifest's settings schema by default
+    addSettings(containerEl) {
+        if (this.manifest.settings) {
+            new ModuleSettingsForm(this).render(containerEl);
+        }
+    }
 
-            if (isCore) hasCoreModules = true;
-            else hasUserModules = true;
+    // Shares an object with other modules under a name; it is withdrawn when this module is disabled
+    provide(name, implementation) {
+        return hostOf(this).services.provide(name, implementation, this.id);
+    }
 
-            const moduleCard = section.createEl('div', { cls: 'custom-module-card' });
-            const moduleHeader = moduleCard.createEl('div', { cls: 'custom-module-header' });
+    // Returns the object another module provides under a name, or null while nobody provides it
+    consume(name) {
+        return hostOf(this).services.get(name);
+    }
 
-            // Main toggle for the module
-            const headerSetting = new Setting(moduleHeader)
-                .setName(module.name)
-                .setDesc(module.description)
-                .addToggle(toggle => toggle
-                    .setValue(this.plugin.settings.enabledModules[module.id] || false)
-                    .onChange(async (value) => {
-                        if (value) {
-                            await this.plugin.registry.enableModule(module.id);
-                        } else {
-                            await this.plugin.registry.disableModule(module.id);
-                        }
-                        // Update visual state
-                        moduleCard.toggleClass('module-enabled', value);
-                    })
-                );
+    /**
+     * Calls back with a service now if it is available, and again whenever it is provided or withdrawn.
+     * The callback receives null when the service goes away. Listeners are removed on disable.
+     * @param {string} name The service name.
+     * @param {function(any): void} callback Receives the implementation, or null.
+     */
+    onService(name, callback) {
+        this.registerEvent(
+            hostOf(this).services.on('service-provided', (serviceName, implementation) => {
+                if (serviceName === name) callback(implementation);
+            })
+        );
+        this.registerEvent(
+            hostOf(this).services.on('service-revoked', (serviceName) => {
+                if (serviceName === name) callback(null);
+            })
+        );
 
-            // Add enabled/disabled class
-            if (this.plugin.settings.enabledModules[module.id]) {
-                moduleCard.addClass('module-enabled');
-            }
+        const implementation = this.consume(name);
+        if (implementation) callback(implementation);
+    }
+}
 
-            // Create collapsible settings container
-            const moduleSettingsContainer = moduleCard.createEl('div', { cls: 'custom-module-settings' });
-            const settingsContent = moduleSettingsContainer.createEl('div', { cls: 'custom-module-settings-content' });
+// Writes a module's messages to the console and the plugin's log buffer, dropping those below the module's level
+class ModuleLogger {
+    constructor(module) {
+        this.module = module;
+    }
 
-            // Add the module's settings
-            module.addSettings(settingsContent);
+    getLevel() {
+        return hostOf(this.module).settings.moduleLogLevels[this.module.id] || DEFAULT_LOG_LEVEL;
+    }
 
-            // Only make it collapsible if there are settings
-            if (settingsContent.children.length > 0) {
-                moduleCard.addClass('has-settings');
+    isEnabled(level) {
+        return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.getLevel());
+    }
 
-                // Add expand/collapse button
-                const expandBtn = moduleHeader.createEl('div', {
-                    cls: 'module-expand-btn',
-                    attr: { 'aria-label': 'Expand settings' }
-                });
-                expandBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"></polyline></svg>';
+    debug(...args) {
+        this.write('debug', args);
+    }
 
-                // Toggle collapse on click
-                let isCollapsed = true;
-                moduleSettingsContainer.addClass('collapsed');
+    info(...args) {
+        this.write('info', args);
+    }
 
-                const toggleCollapse = () => {
-                    isCollapsed = !isCollapsed;
-                    moduleSettingsContainer.toggleClass('collapsed', isCollapsed);
-                    expandBtn.toggleClass('expanded', !isCollapsed);
-                };
+    warn(...args) {
+        this.write('warn', args);
+    }
 
-                expandBtn.addEventListener('click', toggleCollapse);
-                moduleHeader.addEventListener('click', (e) => {
-                    // Only toggle if clicking the header itself, not the toggle switch
-                    if (e.target === moduleHeader || e.target.closest('.setting-item-name') || e.target.closest('.setting-item-description')) {
-                        toggleCollapse();
-                    }
-                });
+    error(...args) {
+        this.write('error', args);
+    }
 
-                // Make header appear clickable
-                moduleHeader.addClass('clickable');
-            }
-        }
+    write(level, args) {
+        if (!this.isEnabled(level)) return;
+        const consoleMethod = level === 'info' ? 'log' : level;
+        console[consoleMethod](`[${this.module.name}]`, ...args);
+        hostOf(this.module).logs.add(this.module.id, level, args);
+    }
+}
 
-        if (!hasCoreModules) {
-            coreSection.createEl('p', { text: 'No core modules loaded.', cls: 'setting-item-description' });
-        }
+/**
+ * The most recent LOG_BUFFER_SIZE log entries of all modules, oldest overwritten first.
+ * Triggers 'entry' with each new entry and 'clear' when emptied.
+ */
+class ModuleLogBuffer extends Events {
+    constructor(capacity) {
+        super();
+        this.capacity = capacity;
+        this.entries = [];
+        // Index of the oldest entry once the buffer is full
+        this.start = 0;
+    }
 
-        if (!hasUserModules) {
-            userSection.createEl('p', { text: 'No user modules found. Add custom modules to the "user-modules" folder in the plugin directory or the path you\'ve entered in "User modules folder."', cls: 'setting-item-description' });
+    // Turns console-style arguments into one line of text
+    static format(args) {
+        return args.map(arg => {
+            if (typeof arg === 'string') return arg;
+            if (arg instanceof Error) return arg.stack || arg.message;
+            try {
+                return JSON.stringify(arg);
+            } catch (error) {
+                return String(arg);
+            }
+        }).join(' ');
+    }
+
+    add(moduleId, level, args) {
+        const entry = { time: Date.now(), moduleId, level, message: ModuleLogBuffer.format(args) };
+        if (this.entries.length < this.capacity) {
+            this.entries.push(entry);
+        } else {
+            this.entries[this.start] = entry;
+            this.start = (this.start + 1) % this.capacity;
         }
+        this.trigger('entry', entry);
+        return entry;
+    }
 
-        // Add information about creating custom modules
-        containerEl.createEl('hr');
-        const infoSection = containerEl.createEl('div', { cls: 'custom-modules-info-section' });
-        infoSection.createEl('h3', { text: 'Creating Custom Modules' });
-        infoSection.createEl('p', {
-            text: 'To create custom modules, add JavaScript files to the "user-modules" folder in this plugin\'s directory or in the path you\'ve entered in "User modules folder." Each module should export a class extending PluginModule.',
-            cls: 'setting-item-description'
-        });
+    // Entries oldest first, optionally only those of one module
+    getEntries(moduleId = null) {
+        const entries = [...this.entries.slice(this.start), ...this.entries.slice(0, this.start)];
+        return moduleId ? entries.filter(entry => entry.moduleId === moduleId) : entries;
+    }
 
-        // Add reload button
-        new Setting(infoSection)
-            .setName('Reload User Modules')
-            .setDesc('Reload all user modules from the user modules folder')
-            .addButton(button => button
-                .setButtonText('Reload')
-                .onClick(async () => {
-                    await this.plugin.loadUserModules();
-                    this.display(); // Refresh the settings display
-                    new Notice('User modules reloaded');
-                })
-            );
+    clear() {
+        this.entries = [];
+        this.start = 0;
+        this.trigger('clear');
     }
 }
 
-// Main Plugin Class
-class CustomModulesPlugin extends Plugin {
+/**
+ * Time spent in each module: how long onEnable and onDisable last took, and the calls, total and
+ * slowest time of every guarded handler (events, DOM events, intervals, commands, settings changes).
+ * Handler times cover the synchronous part only, which is what blocks typing.
+ */
+class ModuleProfiler {
     constructor() {
-        super(...arguments);
-        this.settings = DEFAULT_SETTINGS;
-        this.registry = new ModuleRegistry(this);
-        // Make obsidian available to the plugin instance
-        this.obsidian = require('obsidian');
+        this.profiles = new Map();
     }
 
-    async onload() {
-        // Set up paths
-        const adapter = this.app.vault.adapter;
+    getProfile(moduleId) {
+        if (!this.profiles.has(moduleId)) {
+            this.profiles.set(moduleId, { enable: null, disable: null, handlers: new Map() });
+        }
+        return this.profiles.get(moduleId);
+    }
 
-        //Load settings first, so we know the custom user-modules path
-        await this.loadSettings();
+    recordLifecycle(moduleId, phase, ms) {
+        this.getProfile(moduleId)[phase] = ms;
+    }
 
-        const userModulesPath = this.getUserModulesPath();
+    recordHandler(moduleId, label, ms) {
+        const { handlers } = this.getProfile(moduleId);
+        const stats = handlers.get(label) || { label, calls: 0, totalMs: 0, maxMs: 0 };
+        stats.calls++;
+        stats.totalMs += ms;
+        stats.maxMs = Math.max(stats.maxMs, ms);
+        handlers.set(label, stats);
+    }
 
-        // Ensure user-modules directory exists
-        if (!await adapter.exists(userModulesPath)) {
-            await adapter.mkdir(userModulesPath);
-            // Create a sample module file
-            await this.createSampleModule();
+    // A module's handler stats, costliest first, with its totals
+    getSummary(moduleId) {
+        const profile = this.getProfile(moduleId);
+        const handlers = [...profile.handlers.values()].sort((a, b) => b.totalMs - a.totalMs);
+        return {
+            enable: profile.enable,
+            disable: profile.disable,
+            handlers,
+            calls: handlers.reduce((sum, stats) => sum + stats.calls, 0),
+            totalMs: handlers.reduce((sum, stats) => sum + stats.totalMs, 0),
+            maxMs: handlers.reduce((max, stats) => Math.max(max, stats.maxMs), 0)
+        };
+    }
+
+    // Why a module counts as slow, or null if it doesn't
+    getSlowReason(moduleId) {
+        const { enable, handlers } = this.getSummary(moduleId);
+        const slowHandler = handlers.find(stats => stats.totalMs / stats.calls > SLOW_HANDLER_MS);
+        if (slowHandler) {
+            return `${slowHandler.label} takes ${(slowHandler.totalMs / slowHandler.calls).toFixed(1)} ms per call`;
         }
+        if (enable !== null && enable > SLOW_ENABLE_MS) {
+            return `Enabling took ${Math.round(enable)} ms`;
+        }
+        return null;
+    }
 
-        // Load core modules
-        await this.loadCoreModules();
+    reset(moduleId) {
+        this.profiles.delete(moduleId);
+    }
+}
 
-        // Load user modules
-        await this.loadUserModules();
+/**
+ * Module Settings Form - renders the settings schema a module declares in its manifest.
+ * Values are validated before they are saved; invalid input is shown on the field and not saved.
+ */
+class ModuleSettingsForm {
+    constructor(module) {
+        this.module = module;
+        this.app = module.app;
+    }
 
-        // Inject custom styles for settings panel
-        this.injectStyles();
+    render(containerEl) {
+        const settings = this.module.getSettings();
+        for (const field of this.module.manifest.settings || []) {
+            this.renderField(containerEl, field, settings[field.key]);
+        }
+    }
 
-        // Add settings tab
-        this.addSettingTab(new CustomModulesSettingTab(this.app, this));
+    renderField(containerEl, field, value) {
+        const setting = new Setting(containerEl).setName(field.name || field.key);
+        if (field.desc) setting.setDesc(field.desc);
+        if (hostOf(this.module).device.getLocalKeys(this.module.id).includes(field.key)) {
+            setting.nameEl.createSpan({ text: 'This device', cls: 'custom-module-status-badge mod-local' });
+        }
+        const errorEl = setting.descEl.createDiv({ cls: 'custom-module-setting-error' });
+
+        const commit = async (input) => {
+            const result = ModuleSettingsForm.validate(field, input);
+            errorEl.setText(result.error || '');
+            setting.settingEl.toggleClass('is-invalid', !!result.error);
+            if (!result.error) {
+                await this.module.updateSettings({ [field.key]: result.value });
+            }
+        };
+
+        switch (field.type) {
+            case 'toggle':
+                setting.addToggle(toggle => toggle
+                    .setValue(!!value)
+                    .onChange(commit));
+                break;
+
+            case 'text':
+            case 'folder':
+                setting.addText(text => {
+                    text.setPlaceholder(field.placeholder || '')
+                        .setValue(value === undefined ? '' : String(value))
+                        .onChange(commit);
+                    if (field.type === 'folder' && FolderSuggest) {
+                        new FolderSuggest(this.app, text.inputEl);
+                    }
+                });
+                break;
+
+            case 'number':
+                setting.addText(text => {
+                    text.inputEl.type = 'number';
+                    if (field.min !== undefined) text.inputEl.min = String(field.min);
+                    if (field.max !== undefined) text.inputEl.max = String(field.max);
+                    text.setPlaceholder(field.placeholder || '')
+                        .setValue(value === undefined ? '' : String(value))
+                        .onChange(commit);
+                });
+                break;
+
+            case 'dropdown':
+                setting.addDropdown(dropdown => dropdown
+                    .addOptions(ModuleSettingsForm.getOptions(field))
+                    .setValue(String(value))
+                    .onChange(commit));
+                break;
+
+            case 'slider':
+                setting.addSlider(slider => slider
+                    .setLimits(field.min ?? 0, field.max ?? 100, field.step ?? 1)
+                    .setValue(value ?? field.min ?? 0)
+                    .setDynamicTooltip()
+                    .onChange(commit));
+                break;
+
+            case 'textarea':
+            case 'list':
+                setting.addTextArea(textArea => {
+                    textArea.inputEl.rows = field.rows || 4;
+                    textArea.setPlaceholder(field.placeholder || (field.type === 'list' ? 'One entry per line' : ''))
+                        .setValue(field.type === 'list' ? (value || []).join('\n') : (value || ''))
+                        .onChange(commit);
+                });
+                break;
+        }
+    }
+
+    // Dropdown options may be a { value: label } object or a list of values
+    static getOptions(field) {
+        if (Array.isArray(field.options)) {
+            return Object.fromEntries(field.options.map(option => [String(option), String(option)]));
+        }
+        return field.options || {};
+    }
+
+    /**
+     * Converts raw input to the field's value type and checks it.
+     * @returns {{value: *}|{error: string}}
+     */
+    static validate(field, input) {
+        let value = input;
+
+        switch (field.type) {
+            case 'number':
+            case 'slider':
+                value = Number(input);
+                if (input === '' || Number.isNaN(value)) return { error: 'Enter a number' };
+                if (field.min !== undefined && value < field.min) return { error: `Must be at least ${field.min}` };
+                if (field.max !== undefined && value > field.max) return { error: `Must be at most ${field.max}` };
+                break;
+
+            case 'dropdown':
+                if (!(String(input) in ModuleSettingsForm.getOptions(field))) return { error: 'Choose one of the options' };
+                break;
+
+            case 'folder':
+                value = String(input).trim().replace(/^\/+|\/+$/g, '');
+                break;
+
+            case 'list':
+                value = String(input).split('\n').map(entry => entry.trim()).filter(entry => entry.length > 0);
+                break;
+        }
+
+        if (typeof field.validate === 'function') {
+            const error = field.validate(value);
+            if (error) return { error };
+        }
+
+        return { value };
+    }
+}
+
+// Suggests vault folders for 'folder' settings; AbstractInputSuggest needs Obsidian 1.4.10 or later
+const FolderSuggest = AbstractInputSuggest && class extends AbstractInputSuggest {
+    constructor(app, inputEl) {
+        super(app, inputEl);
+        this.inputEl = inputEl;
+    }
+
+    getSuggestions(query) {
+        const lowerQuery = query.toLowerCase();
+        return this.app.vault.getAllLoadedFiles()
+            .filter(file => file instanceof TFolder && file.path.toLowerCase().includes(lowerQuery));
+    }
+
+    renderSuggestion(folder, el) {
+        el.setText(folder.path || '/');
+    }
+
+    selectSuggestion(folder) {
+        this.setValue(folder.path);
+        this.inputEl.dispatchEvent(new Event('input'));
+        this.close();
+    }
+};
+
+/**
+ * Module Loader - gives a user module a require() for its own files, so it can be split into several files.
+ * require() is synchronous but the vault adapter is not, so every file reachable through require() calls
+ * with a literal relative path is read before the module runs.
+ */
+class ModuleLoader {
+    constructor(adapter, entry, root) {
+        this.adapter = adapter;
+        this.entry = entry;
+        // Files outside this folder cannot be required
+        this.root = root;
+        // File path -> contents, for every file the module can require
+        this.sources = new Map();
+        // File path -> module object, so each file runs once and require cycles see partial exports like Node's
+        this.cache = new Map();
+        // Globals every file runs with; set once the module's sandbox is built
+        this.context = {};
+    }
+
+    // Runs CommonJS-style code, filling in module.exports; errors are thrown to the caller
+    static run(code, context, module) {
+        const contextKeys = Object.keys(context);
+        const contextValues = Object.values(context);
+
+        const fn = new Function('module', 'exports', ...contextKeys, code);
+        fn.call(module.exports, module, module.exports, ...contextValues);
+    }
+
+    // The relative paths a file passes to require() as string literals
+    static findRelativeRequires(code) {
+        const specifiers = [];
+        const pattern = /\brequire\s*\(\s*(['"`])(\.{1,2}\/[^'"`]+)\1\s*\)/g;
+        let match;
+        while ((match = pattern.exec(code)) !== null) {
+            specifiers.push(match[2]);
+        }
+        return specifiers;
+    }
+
+    // Reads the entry file and every file it requires, directly or indirectly
+    async load() {
+        const pending = [this.entry];
+
+        while (pending.length > 0) {
+            const file = pending.pop();
+            if (this.sources.has(file)) continue;
+
+            this.sources.set(file, await this.adapter.read(file));
+            if (!file.endsWith('.js')) continue;
+
+            for (const specifier of ModuleLoader.findRelativeRequires(this.sources.get(file))) {
+                for (const candidate of this.getCandidates(specifier, file)) {
+                    if (await this.adapter.exists(candidate)) {
+                        pending.push(candidate);
+                        break;
+                    }
+                }
+            }
+        }
+    }
+
+    // The paths a relative specifier may refer to, in the order Node tries them
+    getCandidates(specifier, fromFile) {
+        const target = paths.normalize(paths.join(paths.dirname(fromFile), specifier));
+        if (!target.startsWith(this.root + '/')) {
+            return [];
+        }
+
+        const candidates = [target + '.js', target + '/index.js'];
+        if (paths.extname(target)) {
+            candidates.unshift(target);
+        }
+        return candidates;
+    }
+
+    createModule(file) {
+        const module = { exports: {} };
+        this.cache.set(file, module);
+        return module;
+    }
+
+    /**
+     * Builds the require() a file sees. Relative paths load the module's own files: .js files run,
+     * .json files are parsed and anything else is returned as text. Other names go to the sandbox's require().
+     */
+    createRequire(fromFile) {
+        return (specifier) => {
+            if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+                if (typeof this.context.require !== 'function') {
+                    throw new Error(`Cannot find module '${specifier}'`);
+                }
+                return this.context.require(specifier);
+            }
+
+            const file = this.getCandidates(specifier, fromFile).find(candidate => this.sources.has(candidate));
+            if (!file) {
+                throw new Error(`Cannot find '${specifier}' from ${fromFile}. Only files inside the module folder, required with a literal path, can be loaded.`);
+            }
+
+            if (this.cache.has(file)) {
+                return this.cache.get(file).exports;
+            }
+
+            const source = this.sources.get(file);
+            if (!file.endsWith('.js')) {
+                const exports = file.endsWith('.json') ? JSON.parse(source) : source;
+                this.cache.set(file, { exports });
+                return exports;
+            }
+
+            const module = this.createModule(file);
+            try {
+                ModuleLoader.run(source, { ...this.context, require: this.createRequire(file) }, module);
+            } catch (error) {
+                this.cache.delete(file);
+                throw error;
+            }
+            return module.exports;
+        };
+    }
+}
+
+/**
+ * Library Loader - evaluates vendored UMD/CommonJS libraries from the plugin's lib/ folder once, so modules share them.
+ * Modules ask for a library by file name without .js or .min.js: `await this.plugin.libs.get('compromise')`.
+ */
+class LibraryLoader {
+    constructor(plugin) {
+        this.plugin = plugin;
+        // Library name -> promise of its exports
+        this.libraries = new Map();
+    }
+
+    getFolder() {
+        return paths.join(this.plugin.manifest.dir, 'lib');
+    }
+
+    /**
+     * Returns a library's exports, evaluating it on first use.
+     * @param {string} name The library's file name without .js or .min.js.
+     * @returns {Promise<any>} The library's module.exports.
+     */
+    get(name) {
+        if (!this.libraries.has(name)) {
+            const loading = this.load(name);
+            this.libraries.set(name, loading);
+            // A failed load is forgotten so a later call can try again
+            loading.catch(() => this.libraries.delete(name));
+        }
+        return this.libraries.get(name);
+    }
+
+    async load(name) {
+        if (!/^[\w.-]+$/.test(name)) {
+            throw new Error(`Invalid library name "${name}"`);
+        }
+
+        const adapter = this.plugin.app.vault.adapter;
+        for (const filename of [`${name}.js`, `${name}.min.js`]) {
+            const filepath = paths.join(this.getFolder(), filename);
+            if (await adapter.exists(filepath)) {
+                const module = { exports: {} };
+                ModuleLoader.run(await adapter.read(filepath), {}, module);
+                return module.exports;
+            }
+        }
+
+        throw new Error(`Library "${name}" not found in ${this.getFolder()}`);
+    }
+}
+
+/**
+ * Service Registry - lets modules share objects by name instead of reaching into each other's instances.
+ * Triggers 'service-provided' (name, implementation, providerId) and 'service-revoked' (name, providerId).
+ */
+class ServiceRegistry extends Events {
+    constructor() {
+        super();
+        this.services = new Map();
+        this.contracts = new Map();
+    }
+
+    /**
+     * Declares the methods a service must implement. Providers that lack one are rejected.
+     * @param {string} name The service name.
+     * @param {string[]} methods The method names every implementation must have.
+     */
+    define(name, methods) {
+        this.contracts.set(name, methods);
+    }
+
+    provide(name, implementation, providerId) {
+        const existing = this.services.get(name);
+        if (existing && existing.providerId !== providerId) {
+            console.warn(`Custom Modules: service "${name}" is already provided by ${existing.providerId}, ignoring ${providerId}`);
+            return false;
+        }
+
+        const missing = (this.contracts.get(name) || []).filter(method => typeof implementation[method] !== 'function');
+        if (missing.length > 0) {
+            throw new TypeError(`Service "${name}" from ${providerId} is missing: ${missing.join(', ')}`);
+        }
+
+        this.services.set(name, { implementation, providerId });
+        this.trigger('service-provided', name, implementation, providerId);
+        return true;
+    }
+
+    revoke(name, providerId) {
+        const existing = this.services.get(name);
+        if (!existing || existing.providerId !== providerId) return;
+
+        this.services.delete(name);
+        this.trigger('service-revoked', name, providerId);
+    }
+
+    revokeAll(providerId) {
+        for (const [name, service] of this.services) {
+            if (service.providerId === providerId) {
+                this.revoke(name, providerId);
+            }
+        }
+    }
+
+    get(name) {
+        const service = this.services.get(name);
+        return service ? service.implementation : null;
+    }
+
+    has(name) {
+        return this.services.has(name);
+    }
+
+    getProvider(name) {
+        const service = this.services.get(name);
+        return service ? service.providerId : null;
+    }
+}
+
+/**
+ * Buttons modules add to the header of views, left of Obsidian's own. Adds them to views as they open,
+ * keeps them in the order and visibility set in the settings tab, and updates their active state.
+ */
+class ViewActionManager {
+    constructor(plugin) {
+        this.plugin = plugin;
+        // Registered actions by key, "<module id>:<action id>"
+        this.actions = new Map();
+    }
+
+    // Views get their buttons as they open, and the active state follows the file shown
+    load() {
+        const { workspace } = this.plugin.app;
+        const refresh = () => this.refresh();
+        this.plugin.registerEvent(workspace.on('layout-change', refresh));
+        this.plugin.registerEvent(workspace.on('active-leaf-change', refresh));
+        this.plugin.registerEvent(workspace.on('file-open', refresh));
+    }
+
+    add(module, options) {
+        const key = `${module.id}:${options.id}`;
+        const { registry } = this.plugin;
+        this.actions.set(key, {
+            viewTypes: ['markdown'],
+            ...options,
+            key,
+            moduleId: module.id,
+            onClick: registry.guard(module, options.onClick, `view action "${options.id}"`),
+            isActive: options.isActive ? registry.guard(module, options.isActive, `view action "${options.id}" state`) : null
+        });
+        this.refresh();
+        return key;
+    }
+
+    remove(key) {
+        if (this.actions.delete(key)) this.refresh();
+    }
+
+    isHidden(key) {
+        return this.plugin.settings.hiddenViewActions.includes(key);
+    }
+
+    // Registered actions in the order set in the settings tab; actions never moved follow in the order they were added
+    getOrderedActions() {
+        const order = this.plugin.settings.viewActionOrder;
+        const rank = key => order.includes(key) ? order.indexOf(key) : order.length;
+        return [...this.actions.values()].sort((a, b) => rank(a.key) - rank(b.key));
+    }
+
+    // Swaps an action with its neighbour; a negative offset moves it left
+    async move(key, offset) {
+        const keys = this.getOrderedActions().map(action => action.key);
+        const from = keys.indexOf(key);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= keys.length) return;
+
+        [keys[from], keys[to]] = [keys[to], keys[from]];
+        const { settings } = this.plugin;
+        // Actions of disabled modules stay in the saved order, after the registered ones
+        settings.viewActionOrder = [...keys, ...settings.viewActionOrder.filter(savedKey => !keys.includes(savedKey))];
+        await this.plugin.saveSettings();
+        this.refresh();
+    }
+
+    async setHidden(key, hidden) {
+        const { settings } = this.plugin;
+        settings.hiddenViewActions = settings.hiddenViewActions.filter(hiddenKey => hiddenKey !== key);
+        if (hidden) settings.hiddenViewActions.push(key);
+        await this.plugin.saveSettings();
+        this.refresh();
+    }
+
+    // Brings the buttons of every open view in line with the registered actions
+    refresh() {
+        const actions = this.getOrderedActions().filter(action => !this.isHidden(action.key));
+        this.plugin.app.workspace.iterateAllLeaves(leaf => this.renderView(leaf.view, actions));
+    }
+
+    renderView(view, actions) {
+        const actionsEl = view && view.containerEl && view.containerEl.querySelector('.view-actions');
+        if (!actionsEl) return;
+
+        const shown = actions.filter(action => action.viewTypes.includes(view.getViewType()));
+        const buttons = new Map();
+        actionsEl.querySelectorAll('.custom-modules-view-action').forEach(button => {
+            const key = button.getAttribute('data-view-action');
+            if (shown.some(action => action.key === key)) buttons.set(key, button);
+            else button.remove();
+        });
+
+        shown.forEach((action, index) => {
+            const button = buttons.get(action.key) || this.createButton(action.key, view);
+            // Only moved when out of place, so refreshing doesn't disturb a hovered button
+            if (actionsEl.children[index] !== button) actionsEl.insertBefore(button, actionsEl.children[index] || null);
+            this.updateButton(button, action, view);
+        });
+    }
+
+    createButton(key, view) {
+        const button = createEl('a', {
+            cls: 'clickable-icon view-action custom-modules-view-action',
+            attr: { 'data-view-action': key }
+        });
+        button.addEventListener('click', async (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            // Looked up on click, as hot reloading replaces the action
+            const action = this.actions.get(key);
+            if (!action) return;
+            await action.onClick(view, event);
+            this.updateButton(button, action, view);
+        });
+        return button;
+    }
+
+    updateButton(button, action, view) {
+        if (button.viewActionIcon !== action.icon) {
+            setIcon(button, action.icon);
+            button.viewActionIcon = action.icon;
+        }
+        const active = !!(action.isActive && action.isActive(view));
+        button.toggleClass('is-active', active);
+        button.setAttribute('aria-label', active && action.activeTooltip ? action.activeTooltip : action.tooltip);
+    }
+}
+
+/**
+ * Style elements added by modules and the plugin itself. A module's CSS overrides from the settings tab
+ * are kept after everything the module adds, so they win over its rules of equal specificity.
+ */
+class StyleManager {
+    constructor(plugin) {
+        this.plugin = plugin;
+        // Style elements by "<owner id>/<style id>"
+        this.styles = new Map();
+        this.overrideEls = new Map();
+        // Modules that have added styles this session, whose cards offer CSS overrides
+        this.styledModules = new Set();
+        this.nextId = 1;
+        // Overrides are edited a keystroke at a time, so they are saved once typing pauses
+        this.overridesChanged = false;
+        this.saveOverrides = debounce(() => this.flushOverrides(), 1000, true);
+    }
+
+    /**
+     * Adds a style element to the document, or replaces the CSS of the one added before under the same id.
+     * @param {string} ownerId The module id, or the plugin's id for its own styles.
+     * @param {string} css
+     * @param {string} [id] Generated when left out, so every call adds a new element.
+     * @returns {{key: string, el: HTMLStyleElement, created: boolean}}
+     */
+    add(ownerId, css, id = `style-${this.nextId++}`) {
+        const key = `${ownerId}/${id}`;
+        let el = this.styles.get(key);
+        const created = !el;
+        if (created) {
+            el = document.head.createEl('style', { attr: { id: `custom-modules-style-${ownerId}-${id}` } });
+            this.styles.set(key, el);
+            this.styledModules.add(ownerId);
+        }
+        el.textContent = css;
+
+        const overrideEl = this.overrideEls.get(ownerId);
+        if (overrideEl) document.head.appendChild(overrideEl);
+        return { key, el, created };
+    }
+
+    remove(key) {
+        const el = this.styles.get(key);
+        if (!el) return;
+        el.remove();
+        this.styles.delete(key);
+    }
+
+    // Removes every style element, including overrides; for when the plugin unloads
+    removeAll() {
+        [...this.styles.keys()].forEach(key => this.remove(key));
+        [...this.overrideEls.keys()].forEach(moduleId => this.removeOverrides(moduleId));
+    }
+
+    getOverrides(moduleId) {
+        return this.plugin.settings.moduleCssOverrides[moduleId] || '';
+    }
+
+    setOverrides(moduleId, css) {
+        const { settings } = this.plugin;
+        if (css.trim()) {
+            settings.moduleCssOverrides[moduleId] = css;
+        } else {
+            delete settings.moduleCssOverrides[moduleId];
+        }
+        this.overridesChanged = true;
+        this.saveOverrides();
+
+        const module = this.plugin.registry.getModule(moduleId);
+        if (module && module.enabled) this.applyOverrides(moduleId);
+    }
+
+    // Saves overrides still waiting for typing to pause, as when the settings tab closes or the plugin unloads
+    async flushOverrides() {
+        this.saveOverrides.cancel();
+        if (!this.overridesChanged) return;
+
+        this.overridesChanged = false;
+        try {
+            await this.plugin.saveSettings();
+        } catch (error) {
+            console.error('Custom Modules: could not save CSS overrides:', error);
+        }
+    }
+
+    // Puts a module's overrides after all style elements, or takes them out if it has none
+    applyOverrides(moduleId) {
+        const css = this.getOverrides(moduleId);
+        if (!css) {
+            this.removeOverrides(moduleId);
+            return;
+        }
+
+        let el = this.overrideEls.get(moduleId);
+        if (!el) {
+            el = createEl('style', { attr: { id: `custom-modules-overrides-${moduleId}` } });
+            this.overrideEls.set(moduleId, el);
+        }
+        el.textContent = css;
+        document.head.appendChild(el);
+    }
+
+    removeOverrides(moduleId) {
+        const el = this.overrideEls.get(moduleId);
+        if (!el) return;
+        el.remove();
+        this.overrideEls.delete(moduleId);
+    }
+}
+
+// Capabilities a user module can declare, with the description shown on its settings card
+const MODULE_CAPABILITIES = {
+    'vault:read': 'Read vault files',
+    'vault:write': 'Create, change and delete vault files',
+    'network': 'Make network requests',
+    'editor': 'Read and edit notes in the editor',
+    'node': 'Use Node.js modules such as fs and child_process'
+};
+
+// Vault, adapter and file manager members gated by a capability, checked when they are accessed
+const VAULT_CAPABILITY_RULES = {
+    read: 'vault:read', cachedRead: 'vault:read', readBinary: 'vault:read',
+    getFiles: 'vault:read', getMarkdownFiles: 'vault:read', getAllLoadedFiles: 'vault:read', getAllFolders: 'vault:read',
+    getAbstractFileByPath: 'vault:read', getFileByPath: 'vault:read', getFolderByPath: 'vault:read', getRoot: 'vault:read',
+    create: 'vault:write', createBinary: 'vault:write', createFolder: 'vault:write', modify: 'vault:write',
+    modifyBinary: 'vault:write', append: 'vault:write', process: 'vault:write', delete: 'vault:write',
+    trash: 'vault:write', rename: 'vault:write', copy: 'vault:write'
+};
+
+const ADAPTER_CAPABILITY_RULES = {
+    read: 'vault:read', readBinary: 'vault:read', list: 'vault:read', exists: 'vault:read', stat: 'vault:read',
+    write: 'vault:write', writeBinary: 'vault:write', append: 'vault:write', process: 'vault:write',
+    mkdir: 'vault:write', remove: 'vault:write', rmdir: 'vault:write', rename: 'vault:write',
+    copy: 'vault:write', trashSystem: 'vault:write', trashLocal: 'vault:write'
+};
+
+const FILE_MANAGER_CAPABILITY_RULES = {
+    renameFile: 'vault:write', trashFile: 'vault:write', processFrontMatter: 'vault:write', createNewMarkdownFile: 'vault:write'
+};
+
+class CapabilityError extends Error {
+    constructor(moduleLabel, capability, action) {
+        super(`${moduleLabel} needs the "${capability}" capability to ${action}`);
+        this.name = 'CapabilityError';
+        this.capability = capability;
+    }
+}
+
+/**
+ * Module Sandbox - runs a user module against proxies that only expose the capabilities it declared.
+ * Declarations come from a "// @capabilities vault:read, network:api.example.com" header or a static
+ * `capabilities` array on the module class. Modules that declare nothing stay unrestricted unless the
+ * "Restrict undeclared modules" setting is on.
+ *
+ * This is a guard rail that makes a module's reach visible and stops accidental access, not a security
+ * boundary: code running in the same window can always find a way around a proxy.
+ */
+class ModuleSandbox {
+    constructor(plugin, filepath) {
+        pluginHosts.set(this, plugin);
+        this.filepath = filepath;
+        this.declared = false;
+        this.unrestricted = false;
+        this.capabilities = new Set();
+        this.hosts = [];
+        this.reported = new Set();
+        this.boundFunctions = new WeakMap();
+    }
+
+    // Reads the "@capabilities" header comment, if the module has one
+    static parseHeader(code) {
+        return parseHeaderTag(code, 'capabilities');
+    }
+
+    declare(capabilities) {
+        this.declared = true;
+        for (const capability of capabilities) {
+            if (capability === 'network' || capability.startsWith('network:')) {
+                this.capabilities.add('network');
+                this.hosts.push(capability === 'network' ? '*' : capability.slice('network:'.length));
+            } else if (MODULE_CAPABILITIES[capability]) {
+                this.capabilities.add(capability);
+            } else {
+                console.warn(`Custom Modules: unknown capability "${capability}" declared in ${this.filepath}`);
+            }
+        }
+    }
+
+    has(capability) {
+        return this.unrestricted || this.capabilities.has(capability);
+    }
+
+    assert(capability, action) {
+        if (this.has(capability)) return;
+
+        const error = new CapabilityError(this.label, capability, action);
+        // Report each missing capability once, since the same call often repeats on every event
+        if (!this.reported.has(capability)) {
+            this.reported.add(capability);
+            console.error(error);
+            new Notice(error.message);
+        }
+        throw error;
+    }
+
+    get label() {
+        return this.module ? this.module.name : paths.basename(this.filepath);
+    }
+
+    // Lists what the module may do, for its settings card
+    describe() {
+        return [...this.capabilities].map(capability => {
+            if (capability !== 'network') return MODULE_CAPABILITIES[capability];
+            return this.hosts.includes('*')
+                ? MODULE_CAPABILITIES.network
+                : `${MODULE_CAPABILITIES.network} to ${this.hosts.join(', ')}`;
+        });
+    }
+
+    assertHost(url) {
+        if (this.unrestricted) return;
+        this.assert('network', 'make network requests');
+        if (this.hosts.includes('*')) return;
+
+        const base = typeof location !== 'undefined' ? location.href : undefined;
+        const { host, hostname } = new URL(String(url), base);
+        const allowed = this.hosts.some(declared => declared === host || declared === hostname ||
+            (declared.startsWith('*.') && hostname.endsWith(declared.slice(1))));
+        if (!allowed) {
+            this.assert(`network:${host}`, `connect to ${host}`);
+        }
+    }
+
+    /**
+     * Wraps an object so members listed in the rules check their capability when accessed.
+     * Methods are bound to the real object so they keep working through the proxy.
+     * @param {object} target The object to wrap.
+     * @param {Object<string, string>} rules Member names mapped to the capability they need.
+     * @param {object} overrides Members to replace outright, e.g. nested proxies.
+     */
+    restrict(target, rules = {}, overrides = {}) {
+        return new Proxy(target, {
+            get: (obj, key) => {
+                if (Object.prototype.hasOwnProperty.call(overrides, key)) return overrides[key];
+                if (typeof key === 'string' && rules[key]) this.assert(rules[key], `use ${key}`);
+
+                // Proxies must return non-configurable, read-only values untouched
+                const value = Reflect.get(obj, key);
+                const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+                if (descriptor && !descriptor.configurable && !descriptor.writable) return value;
+                return this.bind(value, obj);
+            }
+        });
+    }
+
+    // Binds plain functions to their owner; classes (capitalized) are returned as-is to keep their statics
+    bind(value, owner) {
+        if (typeof value !== 'function' || /^[A-Z]/.test(value.name)) return value;
+
+        let bound = this.boundFunctions.get(value);
+        if (!bound) {
+            bound = value.bind(owner);
+            this.boundFunctions.set(value, bound);
+        }
+        return bound;
+    }
+
+    get app() {
+        if (!this.appProxy) {
+            const app = hostOf(this).app;
+            const { MarkdownView } = hostOf(this).obsidian;
+            const workspace = app.workspace;
+
+            this.appProxy = this.restrict(app, {}, {
+                vault: this.restrict(app.vault, VAULT_CAPABILITY_RULES, {
+                    adapter: this.restrict(app.vault.adapter, ADAPTER_CAPABILITY_RULES)
+                }),
+                fileManager: this.restrict(app.fileManager, FILE_MANAGER_CAPABILITY_RULES),
+                workspace: this.restrict(workspace, { activeEditor: 'editor' }, {
+                    getActiveViewOfType: (type) => {
+                        if (type === MarkdownView) this.assert('editor', 'access the active editor');
+                        return workspace.getActiveViewOfType(type);
+                    },
+                    on: (name, callback, ctx) => {
+                        if (name.startsWith('editor-')) this.assert('editor', `listen to ${name}`);
+                        return workspace.on(name, callback, ctx);
+                    }
+                })
+            });
+        }
+        return this.appProxy;
+    }
+
+    /**
+     * The plugin as the module sees it: the restricted app and only the members modules use. The plugin's
+     * managers are left out, as each holds the plugin and with it the unrestricted app.
+     */
+    get pluginFacade() {
+        if (!this.facade) {
+            const plugin = hostOf(this);
+            const facade = {
+                app: this.app,
+                obsidian: this.obsidian,
+                manifest: { ...plugin.manifest },
+                addCommand: (command) => plugin.addCommand(command),
+                addRibbonIcon: (icon, title, callback) => plugin.addRibbonIcon(icon, title, callback),
+                addStatusBarItem: () => plugin.addStatusBarItem(),
+                registerView: (type, viewCreator) => plugin.registerView(type, viewCreator),
+                registerEditorExtension: (extension) => {
+                    this.assert('editor', 'register editor extensions');
+                    return plugin.registerEditorExtension(extension);
+                },
+                getModuleSettings: (moduleId) => plugin.getModuleSettings(moduleId),
+                services: Object.freeze({
+                    define: (name, methods) => plugin.services.define(name, methods),
+                    get: (name) => plugin.services.get(name),
+                    on: (name, callback, ctx) => plugin.services.on(name, callback, ctx),
+                    offref: (ref) => plugin.services.offref(ref)
+                }),
+                libs: Object.freeze({
+                    get: (name) => plugin.libs.get(name)
+                })
+            };
+            pluginHosts.set(facade, plugin);
+            this.facade = Object.freeze(facade);
+        }
+        return this.facade;
+    }
+
+    get obsidian() {
+        if (!this.obsidianProxy) {
+            const obsidian = hostOf(this).obsidian;
+            this.obsidianProxy = {
+                ...obsidian,
+                requestUrl: (request) => {
+                    this.assertHost(typeof request === 'string' ? request : request.url);
+                    return obsidian.requestUrl(request);
+                },
+                request: (request) => {
+                    this.assertHost(typeof request === 'string' ? request : request.url);
+                    return obsidian.request(request);
+                }
+            };
+        }
+        return this.obsidianProxy;
+    }
+
+    // Globals shadowed inside the module's code
+    get globals() {
+        const sandbox = this;
+
+        const sandboxedRequire = (id) => {
+            if (id === 'obsidian') return sandbox.obsidian;
+            // The CodeMirror packages Obsidian provides are for building editor extensions
+            if (id.startsWith('@codemirror/') || id.startsWith('@lezer/')) {
+                sandbox.assert('editor', `require('${id}')`);
+                return require(id);
+            }
+            sandbox.assert('node', `require('${id}')`);
+            return require(id);
+        };
+
+        const sandboxedFetch = (input, init) => {
+            sandbox.assertHost(input instanceof Request ? input.url : input);
+            return fetch(input, init);
+        };
+
+        const overrides = {
+            require: sandboxedRequire,
+            fetch: sandboxedFetch,
+            app: sandbox.app
+        };
+
+        if (typeof XMLHttpRequest !== 'undefined') {
+            overrides.XMLHttpRequest = class extends XMLHttpRequest {
+                open(method, url, ...rest) {
+                    sandbox.assertHost(url);
+                    return super.open(method, url, ...rest);
+                }
+            };
+        }
+        if (typeof WebSocket !== 'undefined') {
+            overrides.WebSocket = function (url, protocols) {
+                sandbox.assertHost(url);
+                return new WebSocket(url, protocols);
+            };
+        }
+        if (typeof EventSource !== 'undefined') {
+            overrides.EventSource = function (url, options) {
+                sandbox.assertHost(url);
+                return new EventSource(url, options);
+            };
+        }
+
+        const windowProxy = this.restrict(window, {}, overrides);
+        const processProxy = typeof process !== 'undefined'
+            ? new Proxy(process, { get: (obj, key) => {
+                this.assert('node', 'access process');
+                return this.bind(Reflect.get(obj, key), obj);
+            } })
+            : undefined;
+
+        return {
+            ...overrides,
+            window: windowProxy,
+            globalThis: windowProxy,
+            self: windowProxy,
+            process: processProxy
+        };
+    }
+}
+
+// Module Registry - manages all modules
+// Triggers 'module-registered' (module) and 'module-unregistered' (moduleId, module)
+class ModuleRegistry extends Events {
+    constructor(plugin) {
+        super();
+        this.plugin = plugin;
+        this.modules = new Map();
+        this.moduleOrder = [];
+        // Set when registering a module restored or migrated its settings; the loader saves them
+        this.settingsChanged = false;
+    }
+
+    register(moduleClass, options = {}) {
+        // Sandboxed modules are handed a restricted view of the plugin instead of the plugin itself
+        const restricted = options.sandbox && !options.sandbox.unrestricted;
+        const module = new moduleClass(restricted ? options.sandbox.pluginFacade : this.plugin);
+
+        if (options.sandbox) {
+            module.sandbox = options.sandbox;
+            options.sandbox.module = module;
+        }
+
+        if (options.id) module.id = options.id;
+        if (options.name) module.name = options.name;
+        if (options.description) module.description = options.description;
+
+        // The first module to claim an id keeps it: core modules, then user folders in the order they are listed
+        const existing = this.modules.get(module.id);
+        if (existing) {
+            const message = `Skipped ${options.source || module.name}: module id "${module.id}" is already used by ${existing.sourcePath || existing.name}`;
+            console.warn(`Custom Modules: ${message}`);
+            new Notice(message);
+            return null;
+        }
+        module.sourcePath = options.source || null;
+
+        this.modules.set(module.id, module);
+
+        if (this.prepareSettings(module)) {
+            this.settingsChanged = true;
+        }
+
+        // Keep a reloaded module in the slot its previous instance occupied
+        if (typeof options.index === 'number' && options.index > -1 && options.index <= this.moduleOrder.length) {
+            this.moduleOrder.splice(options.index, 0, module.id);
+        } else {
+            this.moduleOrder.push(module.id);
+        }
+
+        this.trigger('module-registered', module);
+        return module;
+    }
+
+    // Saves the settings that registering modules changed since the last call
+    async saveChangedSettings() {
+        if (!this.settingsChanged) return;
+        this.settingsChanged = false;
+        try {
+            await this.plugin.saveSettings();
+        } catch (error) {
+            // The module did load, so this doesn't fail loading it; the settings are saved again with the next change
+            console.error('Custom Modules: could not save restored or migrated module settings:', error);
+        }
+    }
+
+    /**
+     * Restores archived settings for a returning module, then runs its migrate hook if its saved settings
+     * are older than the settingsVersion in its manifest.
+     * @returns {boolean} Whether the plugin settings changed and need saving.
+     */
+    prepareSettings(module) {
+        const { enabledModules, moduleSettings, moduleSettingsVersions, archivedModuleSettings } = this.plugin.settings;
+        let changed = false;
+
+        const archived = archivedModuleSettings[module.id];
+        if (archived) {
+            if (archived.settings !== undefined) moduleSettings[module.id] = archived.settings;
+            if (archived.settingsVersion !== undefined) moduleSettingsVersions[module.id] = archived.settingsVersion;
+            if (archived.enabled) enabledModules[module.id] = true;
+            delete archivedModuleSettings[module.id];
+            changed = true;
+        }
+
+        const targetVersion = module.manifest.settingsVersion || 0;
+        const savedVersion = moduleSettingsVersions[module.id] || 0;
+        const saved = moduleSettings[module.id];
+
+        if (savedVersion > targetVersion) {
+            console.warn(`Custom Modules: ${module.name} settings were saved by a newer version of the module (settings version ${savedVersion})`);
+        } else if (savedVersion < targetVersion) {
+            if (saved) {
+                try {
+                    moduleSettings[module.id] = this.migrateSettings(module, savedVersion, saved);
+                } catch (error) {
+                    // Leave the old settings and version in place so the migration runs again next time
+                    this.recordError(module, 'migrate', error);
+                    return changed;
+                }
+            }
+            moduleSettingsVersions[module.id] = targetVersion;
+            changed = true;
+        }
+
+        // Values kept on this device were saved under their own settings version, as other devices migrate the synced ones
+        const device = this.plugin.device;
+        const localVersion = device.getSettingsVersion(module.id);
+        if (device.getLocalKeys(module.id).length > 0 && localVersion < targetVersion) {
+            try {
+                device.replaceSettings(module.id, this.migrateSettings(module, localVersion, device.getSettings(module.id)), targetVersion);
+            } catch (error) {
+                this.recordError(module, 'migrate', error);
+            }
+        }
+
+        return changed;
+    }
+
+    // Runs a module's migrate hook on a copy of settings saved under an older settings version
+    migrateSettings(module, fromVersion, settings) {
+        const migrated = module.migrate(fromVersion, structuredClone(settings));
+        if (!migrated || typeof migrated !== 'object' || typeof migrated.then === 'function') {
+            throw new TypeError('migrate() must return the migrated settings object');
+        }
+        return migrated;
+    }
+
+    /**
+     * Checks a module class's static manifest for mistakes and for requirements this install cannot meet.
+     * @param {Function} moduleClass The module class to check.
+     * @returns {string[]} User-facing problems; empty when the module can be loaded.
+     */
+    getManifestProblems(moduleClass) {
+        const manifest = moduleClass.manifest;
+        if (manifest === undefined) return [];
+        if (!manifest || typeof manifest !== 'object') return ['manifest must be an object'];
+
+        const problems = [];
+
+        for (const key of ['version', 'author', 'homepage', 'minPluginVersion', 'minAppVersion']) {
+            if (manifest[key] !== undefined && typeof manifest[key] !== 'string') {
+                problems.push(`manifest.${key} must be a string`);
+            }
+        }
+        if (typeof manifest.version === 'string' && !/^\d+(\.\d+)*$/.test(manifest.version)) {
+            problems.push(`manifest.version "${manifest.version}" is not a version number like 1.2.0`);
+        }
+        if (manifest.settingsVersion !== undefined && !(Number.isInteger(manifest.settingsVersion) && manifest.settingsVersion >= 0)) {
+            problems.push('manifest.settingsVersion must be a whole number');
+        }
+        if (manifest.tags !== undefined && (!Array.isArray(manifest.tags) || manifest.tags.some(tag => typeof tag !== 'string'))) {
+            problems.push('manifest.tags must be a list of strings');
+        }
+        if (manifest.platforms !== undefined && (!Array.isArray(manifest.platforms) || manifest.platforms.length === 0
+            || manifest.platforms.some(platform => !MODULE_PLATFORMS.includes(platform)))) {
+            problems.push(`manifest.platforms must list one or more of ${MODULE_PLATFORMS.join(', ')}`);
+        }
+        if (manifest.activationEvents !== undefined) {
+            if (!Array.isArray(manifest.activationEvents)) {
+                problems.push('manifest.activationEvents must be a list of events');
+            } else {
+                manifest.activationEvents.forEach((event, i) => {
+                    const types = event && typeof event === 'object' ? ACTIVATION_EVENT_TYPES.filter(type => type in event) : [];
+                    if (types.length !== 1 || typeof event[types[0]] !== 'string') {
+                        problems.push(`manifest.activationEvents[${i}] needs one of ${ACTIVATION_EVENT_TYPES.join(', ')}`);
+                    } else if (types[0] === 'onCommand' && typeof event.name !== 'string') {
+                        problems.push(`activation event for command "${event.onCommand}" needs a name`);
+                    } else if (types[0] === 'onRibbon' && typeof event.icon !== 'string') {
+                        problems.push(`activation event for ribbon icon "${event.onRibbon}" needs an icon`);
+                    }
+                });
+            }
+        }
+        if (manifest.settings !== undefined) {
+            if (!Array.isArray(manifest.settings)) {
+                problems.push('manifest.settings must be a list of fields');
+            } else {
+                manifest.settings.forEach((field, i) => {
+                    if (!field || typeof field.key !== 'string') {
+                        problems.push(`manifest.settings[${i}] needs a key`);
+                    } else if (!SETTING_FIELD_TYPES.includes(field.type)) {
+                        problems.push(`setting "${field.key}" has unknown type "${field.type}"`);
+                    } else if (field.type === 'dropdown' && !field.options) {
+                        problems.push(`setting "${field.key}" needs options`);
+                    }
+                });
+            }
+        }
+
+        const pluginVersion = this.plugin.manifest.version;
+        if (typeof manifest.minPluginVersion === 'string' && compareVersions(pluginVersion, manifest.minPluginVersion) < 0) {
+            problems.push(`requires Custom Modules ${manifest.minPluginVersion} or later (installed: ${pluginVersion})`);
+        }
+
+        const appVersion = this.plugin.obsidian.apiVersion;
+        if (typeof manifest.minAppVersion === 'string' && appVersion && compareVersions(appVersion, manifest.minAppVersion) < 0) {
+            problems.push(`requires Obsidian ${manifest.minAppVersion} or later (installed: ${appVersion})`);
+        }
+
+        return problems;
+    }
+
+    async unregister(moduleId) {
+        const module = this.modules.get(moduleId);
+        if (module && module.enabled) {
+            await this.stopModule(module);
+        }
+        this.modules.delete(moduleId);
+        const index = this.moduleOrder.indexOf(moduleId);
+        if (index > -1) {
+            this.moduleOrder.splice(index, 1);
+        }
+        // Timings of the old code say nothing about a reloaded module
+        this.plugin.profiler.reset(moduleId);
+
+        if (module) {
+            this.trigger('module-unregistered', moduleId, module);
+        }
+    }
+
+    getModule(moduleId) {
+        return this.modules.get(moduleId);
+    }
+
+    /**
+     * Records a module failure without letting it reach other modules.
+     * @param {PluginModule} module The module that failed.
+     * @param {string} phase What the module was doing, e.g. 'enable' or 'editor-change handler'.
+     * @param {Error} error The error that was thrown.
+     */
+    recordError(module, phase, error) {
+        const isFirstError = !module.lastError;
+        module.errorCount++;
+        module.lastError = {
+            phase,
+            message: error && error.message ? error.message : String(error),
+            stack: error && error.stack ? error.stack : '',
+            time: Date.now()
+        };
+        console.error(`Custom Modules: ${module.name} failed in ${phase}:`, error);
+        // Failures are always kept, whatever the module's log level
+        this.plugin.logs.add(module.id, 'error', [`Failed in ${phase}:`, error]);
+
+        if (isFirstError) {
+            new Notice(`${module.name} failed in ${phase}: ${module.lastError.message}`);
+        }
+
+        const { autoDisableCrashingModules, crashThreshold } = this.plugin.settings;
+        if (autoDisableCrashingModules && module.enabled && module.errorCount >= crashThreshold) {
+            new Notice(`${module.name} was disabled after failing ${module.errorCount} times`);
+            // Callers don't wait for this, so the settings tab is refreshed once the module is down
+            this.disableModule(module.id)
+                .catch(disableError => console.error(`Custom Modules: could not disable ${module.name}:`, disableError))
+                .finally(() => this.plugin.refreshSettingTab());
+            return;
+        }
+
+        this.plugin.refreshSettingTab();
+    }
+
+    clearError(module) {
+        module.lastError = null;
+        module.errorCount = 0;
+    }
+
+    /**
+     * Wraps a module callback so errors it throws, or promises it rejects, are recorded against the module.
+     * @param {PluginModule} module The module that owns the callback.
+     * @param {Function} callback The callback to wrap.
+     * @param {string} phase A description of the callback used in error reports.
+     * @returns {Function} The wrapped callback.
+     */
+    guard(module, callback, phase) {
+        const registry = this;
+        return function (...args) {
+            const start = performance.now();
+            try {
+                const result = callback.apply(this, args);
+                if (result && typeof result.catch === 'function') {
+                    return result.catch(error => registry.recordError(module, phase, error));
+                }
+                return result;
+            } catch (error) {
+                registry.recordError(module, phase, error);
+                return undefined;
+            } finally {
+                registry.plugin.profiler.recordHandler(module.id, phase, performance.now() - start);
+            }
+        };
+    }
+
+    // Enables a module, recording a failure instead of throwing it
+    async startModule(module) {
+        // Its stubs have to go before the module registers the real commands and views
+        if (this.plugin.activation.isPending(module.id)) {
+            return this.plugin.activation.activate(module.id);
+        }
+
+        const start = performance.now();
+        try {
+            await module.enable();
+            return true;
+        } catch (error) {
+            this.recordError(module, 'enable', error);
+            return false;
+        } finally {
+            this.plugin.profiler.recordLifecycle(module.id, 'enable', performance.now() - start);
+        }
+    }
+
+    // Disables a module, recording a failure instead of throwing it
+    async stopModule(module) {
+        // A module still waiting for its activation events only has stubs to remove
+        this.plugin.activation.cancel(module.id);
+
+        const start = performance.now();
+        try {
+            await module.disable();
+        } catch (error) {
+            this.recordError(module, 'disable', error);
+        } finally {
+            this.plugin.profiler.recordLifecycle(module.id, 'disable', performance.now() - start);
+        }
+    }
+
+    // Clears a module's error and tries to enable it again
+    async retryModule(moduleId) {
+        const module = this.modules.get(moduleId);
+        if (!module) return false;
+
+        this.clearError(module);
+        await this.stopModule(module);
+        return this.enableModule(moduleId);
+    }
+
+    getAllModules() {
+        return this.moduleOrder.map(id => this.modules.get(id));
+    }
+
+    // Registered dependencies that are not enabled, plus dependencies that are not registered at all
+    getUnmetDependencies(module) {
+        return module.dependencies.filter(depId => {
+            const dependency = this.modules.get(depId);
+            return !dependency || !dependency.enabled;
+        });
+    }
+
+    // Enabled modules that conflict with the given one, whichever side declared the conflict
+    getActiveConflicts(module) {
+        return this.getAllModules()
+            .filter(other => other !== module && other.enabled)
+            .filter(other => module.conflicts.includes(other.id) || other.conflicts.includes(module.id))
+            .map(other => other.id);
+    }
+
+    // Enabled modules that depend on the given module, directly or through other modules
+    getEnabledDependents(moduleId) {
+        const dependents = [];
+        const visit = (id) => {
+            for (const module of this.getAllModules()) {
+                const isOn = module.enabled || this.plugin.activation.isPending(module.id);
+                if (isOn && module.dependencies.includes(id) && !dependents.includes(module.id)) {
+                    dependents.push(module.id);
+                    visit(module.id);
+                }
+            }
+        };
+        visit(moduleId);
+        return dependents;
+    }
+
+    /**
+     * Orders module ids so that every module comes after its dependencies.
+     * Modules that are part of a dependency cycle are left out of the order.
+     * @param {string[]} moduleIds The ids to sort.
+     * @returns {{order: string[], cycles: string[][]}} The sorted ids and each cycle found.
+     */
+    sortByDependencies(moduleIds) {
+        const order = [];
+        const cycles = [];
+        const cyclic = new Set();
+        const visited = new Set();
+        const trail = [];
+
+        const visit = (id) => {
+            if (visited.has(id)) return;
+            const trailIndex = trail.indexOf(id);
+            if (trailIndex > -1) {
+                const cycle = trail.slice(trailIndex);
+                cycle.forEach(cycleId => cyclic.add(cycleId));
+                cycles.push([...cycle, id]);
+                return;
+            }
+
+            trail.push(id);
+            const module = this.modules.get(id);
+            for (const depId of module ? module.dependencies : []) {
+                if (this.modules.has(depId)) visit(depId);
+            }
+            trail.pop();
+
+            visited.add(id);
+            order.push(id);
+        };
+
+        moduleIds.forEach(visit);
+
+        const requested = new Set(moduleIds);
+        return {
+            order: order.filter(id => requested.has(id) && !cyclic.has(id)),
+            cycles
+        };
+    }
+
+    // Returns the dependency cycle a module belongs to, if any
+    getDependencyCycle(moduleId) {
+        const { cycles } = this.sortByDependencies(this.moduleOrder);
+        return cycles.find(cycle => cycle.includes(moduleId)) || null;
+    }
+
+    /**
+     * Explains why a module cannot be enabled right now.
+     * @param {PluginModule} module The module to check.
+     * @returns {string|null} A user-facing reason, or null if the module can be enabled.
+     */
+    getEnableBlocker(module) {
+        const platformProblem = getPlatformProblem(module.manifest.platforms);
+        if (platformProblem) {
+            return platformProblem;
+        }
+
+        const cycle = this.getDependencyCycle(module.id);
+        if (cycle) {
+            return `dependency cycle (${cycle.join(' → ')})`;
+        }
+
+        const unmet = this.getUnmetDependencies(module);
+        if (unmet.length > 0) {
+            return `requires ${unmet.map(id => this.getModuleName(id)).join(', ')}`;
+        }
+
+        const conflicts = this.getActiveConflicts(module);
+        if (conflicts.length > 0) {
+            return `conflicts with ${conflicts.map(id => this.getModuleName(id)).join(', ')}`;
+        }
+
+        return null;
+    }
+
+    getModuleName(moduleId) {
+        const module = this.modules.get(moduleId);
+        return module ? module.name : moduleId;
+    }
+
+    /**
+     * Enables the given modules in dependency order without touching saved settings.
+     * Modules whose dependencies cannot be met are skipped with a warning.
+     * @param {string[]} moduleIds The ids of the modules to start.
+     */
+    async enableInOrder(moduleIds) {
+        const { order, cycles } = this.sortByDependencies(moduleIds.filter(id => this.modules.has(id)));
+
+        for (const cycle of cycles) {
+            console.warn(`Custom Modules: dependency cycle ${cycle.join(' → ')}, these modules were not enabled`);
+        }
+
+        for (const moduleId of order) {
+            const module = this.modules.get(moduleId);
+            const blocker = this.getEnableBlocker(module);
+            if (blocker) {
+                console.warn(`Custom Modules: not enabling ${module.name}: ${blocker}`);
+                continue;
+            }
+            await this.startModule(module);
+        }
+    }
+
+    async enableModule(moduleId) {
+        const module = this.modules.get(moduleId);
+        if (!module) return false;
+
+        // Dependencies still waiting for their activation events are needed now
+        for (const depId of module.dependencies) {
+            if (this.plugin.activation.isPending(depId)) await this.plugin.activation.activate(depId);
+        }
+
+        const blocker = this.getEnableBlocker(module);
+        if (blocker) {
+            new Notice(`Cannot enable ${module.name}: ${blocker}`);
+            return false;
+        }
+
+        if (!await this.startModule(module)) return false;
+        this.plugin.setModuleEnabled(moduleId, true);
+        await this.plugin.saveSettings();
+        return true;
+    }
+
+    async disableModule(moduleId) {
+        const module = this.modules.get(moduleId);
+        if (!module) return false;
+
+        // Modules built on this one go down first, most dependent first
+        const dependents = this.getEnabledDependents(moduleId);
+        const { order } = this.sortByDependencies(dependents);
+        for (const dependentId of order.reverse()) {
+            await this.stopModule(this.modules.get(dependentId));
+            this.plugin.setModuleEnabled(dependentId, false);
+        }
+
+        await this.stopModule(module);
+        this.plugin.setModuleEnabled(moduleId, false);
+        await this.plugin.saveSettings();
+
+        if (dependents.length > 0) {
+            new Notice(`Also disabled ${dependents.map(id => this.getModuleName(id)).join(', ')}, which depend on ${module.name}`);
+        }
+        return true;
+    }
+
+    async disableAll() {
+        // Tear down in reverse dependency order so nothing outlives what it builds on
+        const { order } = this.sortByDependencies(this.moduleOrder);
+        const remaining = this.moduleOrder.filter(id => !order.includes(id));
+        for (const moduleId of [...order.reverse(), ...remaining]) {
+            await this.stopModule(this.modules.get(moduleId));
+        }
+    }
+}
+
+/**
+ * Activation Manager - starts enabled modules that list activationEvents in their manifest on first use
+ * instead of with Obsidian. Until then such a module only has stubs: commands and ribbon icons that start it
+ * and then run its real ones, placeholder views that start it and are then rebuilt, and checks of opened files.
+ */
+class ActivationManager {
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.app = plugin.app;
+        // Activation events of the modules waiting to start, by module id
+        this.pending = new Map();
+        // Starts in progress, so a module triggered twice at once starts once
+        this.starting = new Map();
+        // Stand-in ribbon icon elements of the waiting modules, by module id
+        this.ribbonIcons = new Map();
+    }
+
+    static isLazy(module) {
+        return Array.isArray(module.manifest.activationEvents) && module.manifest.activationEvents.length > 0;
+    }
+
+    // Watches opened files for the modules waiting on a file extension or frontmatter key
+    load() {
+        this.plugin.registerEvent(this.app.workspace.on('file-open', file => this.checkFile(file)));
+        this.plugin.registerEvent(this.app.metadataCache.on('changed', file => {
+            if (file === this.app.workspace.getActiveFile()) this.checkFile(file);
+        }));
+    }
+
+    isPending(moduleId) {
+        return this.pending.has(moduleId);
+    }
+
+    /**
+     * Picks the enabled modules that can wait for their activation events: lazy ones that no module
+     * starting now depends on, directly or through other modules.
+     * @param {string[]} moduleIds Enabled modules that are about to be started.
+     * @returns {Set<string>}
+     */
+    getDeferrable(moduleIds) {
+        const { registry } = this.plugin;
+        const deferrable = new Set(moduleIds.filter(id => {
+            const module = registry.getModule(id);
+            return module && ActivationManager.isLazy(module) && !getPlatformProblem(module.manifest.platforms);
+        }));
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const id of moduleIds) {
+                const module = registry.getModule(id);
+                if (!module || deferrable.has(id)) continue;
+                for (const depId of module.dependencies) {
+                    if (deferrable.delete(depId)) changed = true;
+                }
+            }
+        }
+        return deferrable;
+    }
+
+    // Registers a module's stubs instead of starting it
+    defer(module) {
+        if (this.pending.has(module.id) || module.enabled) return;
+
+        const events = module.manifest.activationEvents;
+        this.pending.set(module.id, events);
+        for (const event of events) {
+            if (event.onCommand) {
+                this.plugin.addCommand({
+                    id: event.onCommand,
+                    name: event.name,
+                    icon: event.icon,
+                    callback: () => this.runCommand(module, event.onCommand)
+                });
+            }
+            if (event.onRibbon) {
+                const el = this.plugin.addRibbonIcon(event.icon, event.onRibbon, evt => this.clickRibbonIcon(module, event.onRibbon, evt));
+                this.ribbonIcons.set(module.id, [...(this.ribbonIcons.get(module.id) || []), el]);
+            }
+            if (event.onView) {
+                this.plugin.registerView(event.onView, leaf => new PendingModuleView(leaf, this.plugin, module, event));
+            }
+        }
+    }
+
+    // Starts waiting modules whose views came back with the workspace or whose file is already open
+    checkOpen() {
+        for (const [moduleId, events] of this.pending) {
+            if (events.some(event => event.onView && this.app.workspace.getLeavesOfType(event.onView).length > 0)) {
+                this.activate(moduleId);
+            }
+        }
+        this.checkFile(this.app.workspace.getActiveFile());
+    }
+
+    checkFile(file) {
+        if (!file || this.pending.size === 0) return;
+
+        const cache = this.app.metadataCache.getFileCache(file);
+        const frontmatter = cache && cache.frontmatter;
+        for (const [moduleId, events] of this.pending) {
+            const triggered = events.some(event =>
+                (event.onFileExtension && event.onFileExtension.replace(/^\./, '').toLowerCase() === file.extension.toLowerCase())
+                || (event.onFrontmatter && frontmatter && event.onFrontmatter in frontmatter));
+            if (triggered) this.activate(moduleId);
+        }
+    }
+
+    async runCommand(module, commandId) {
+        if (!await this.activate(module.id)) return;
+
+        const fullId = `${this.plugin.manifest.id}:${commandId}`;
+        if (!this.app.commands.executeCommandById(fullId)) {
+            console.warn(`Custom Modules: ${module.name} did not add the command "${commandId}" named in its activationEvents`);
+        }
+    }
+
+    async clickRibbonIcon(module, title, evt) {
+        if (!await this.activate(module.id)) return;
+
+        const ribbonIcon = module.resources.find(resource => resource.type === 'ribbon-icon' && resource.label === title);
+        if (ribbonIcon) {
+            ribbonIcon.target.callback(evt);
+        } else {
+            console.warn(`Custom Modules: ${module.name} did not add the ribbon icon "${title}" named in its activationEvents`);
+        }
+    }
+
+    /**
+     * Starts a waiting module, and first the waiting modules it depends on.
+     * @returns {Promise<boolean>} Whether the module is running.
+     */
+    activate(moduleId) {
+        if (!this.starting.has(moduleId)) {
+            this.starting.set(moduleId, this.start(moduleId).finally(() => this.starting.delete(moduleId)));
+        }
+        return this.starting.get(moduleId);
+    }
+
+    async start(moduleId) {
+        const { registry } = this.plugin;
+        const moduleIds = [];
+        const collect = id => {
+            if (!this.pending.has(id) || moduleIds.includes(id)) return;
+            moduleIds.push(id);
+            registry.getModule(id).dependencies.forEach(collect);
+        };
+        collect(moduleId);
+
+        const viewTypes = [];
+        for (const id of moduleIds) {
+            const events = this.release(id);
+            viewTypes.push(...events.filter(event => event.onView).map(event => event.onView));
+        }
+        await registry.enableInOrder(moduleIds);
+
+        // Placeholders become the module's real views, keeping their state
+        for (const type of viewTypes) {
+            for (const leaf of this.app.workspace.getLeavesOfType(type)) {
+                if (!(leaf.view instanceof PendingModuleView)) continue;
+                if (registry.getModule(leaf.view.module.id).enabled) {
+                    await leaf.rebuildView();
+                } else {
+                    leaf.view.showFailure();
+                }
+            }
+        }
+
+        this.plugin.refreshSettingTab();
+        const module = registry.getModule(moduleId);
+        return !!(module && module.enabled);
+    }
+
+    // Removes a waiting module's stubs, returning its activation events
+    release(moduleId) {
+        const events = this.pending.get(moduleId) || [];
+        this.pending.delete(moduleId);
+        (this.ribbonIcons.get(moduleId) || []).forEach(el => el.remove());
+        this.ribbonIcons.delete(moduleId);
+        for (const event of events) {
+            if (event.onCommand) this.plugin.removePluginCommand(event.onCommand);
+            if (event.onView) this.app.viewRegistry.unregisterView(event.onView);
+        }
+        return events;
+    }
+
+    // Stops waiting for a module that is disabled or unloaded before it started
+    cancel(moduleId) {
+        for (const event of this.release(moduleId)) {
+            if (event.onView) this.app.workspace.detachLeavesOfType(event.onView);
+        }
+    }
+
+    // Describes what starts a waiting module, for its card
+    static describeEvent(event) {
+        if (event.onCommand) return `the "${event.name}" command`;
+        if (event.onRibbon) return `the "${event.onRibbon}" ribbon icon`;
+        if (event.onView) return `opening ${event.name || event.onView}`;
+        if (event.onFileExtension) return `opening a .${event.onFileExtension.replace(/^\./, '')} file`;
+        return `opening a note with "${event.onFrontmatter}" in its frontmatter`;
+    }
+}
+
+// Stands in for a view of a module that hasn't started; opening it starts the module, which then replaces it
+class PendingModuleView extends ItemView {
+    constructor(leaf, plugin, module, event) {
+        super(leaf);
+        this.plugin = plugin;
+        this.module = module;
+        this.event = event;
+        // The real view's state from the saved workspace, handed on when it replaces this one
+        this.viewState = {};
+    }
+
+    getViewType() {
+        return this.event.onView;
+    }
+
+    getDisplayText() {
+        return this.event.name || this.module.name;
+    }
+
+    getIcon() {
+        return this.event.icon || 'puzzle';
+    }
+
+    getState() {
+        return this.viewState;
+    }
+
+    async setState(state, result) {
+        this.viewState = state || {};
+    }
+
+    async onOpen() {
+        this.contentEl.empty();
+        this.contentEl.createEl('p', { text: `Starting ${this.module.name}…`, cls: 'setting-item-description' });
+        // Not awaited: once started, the module's own view replaces this one
+        this.plugin.activation.activate(this.module.id);
+    }
+
+    showFailure() {
+        this.contentEl.empty();
+        this.contentEl.createEl('p', {
+            text: `${this.module.name} could not start. See its card in the Custom Modules settings.`,
+            cls: 'setting-item-description'
+        });
+    }
+}
+
+/**
+ * Device Overrides - module enablement and settings kept for this device only, layered over the synced data.json.
+ * Each device has its own file in the plugin's devices folder, named after the device, so devices never
+ * pick up each other's overrides even when the plugin folder is synced.
+ */
+class DeviceOverrides {
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.app = plugin.app;
+        this.enabledModules = {};
+        // Per module id, the settings keys kept on this device and their values
+        this.moduleSettings = {};
+        // Per module id, the module's settingsVersion when its values here were last saved
+        this.moduleSettingsVersions = {};
+        this.dirty = false;
+    }
+
+    // The name the user gave this device, or a default saved on first use
+    getDeviceName() {
+        let name = this.app.loadLocalStorage(DEVICE_NAME_KEY);
+        if (!name) {
+            name = DeviceOverrides.getDefaultDeviceName();
+            this.app.saveLocalStorage(DEVICE_NAME_KEY, name);
+        }
+        return name;
+    }
+
+    static getDefaultDeviceName() {
+        if (Platform.isDesktopApp) {
+            try {
+                return require('os').hostname();
+            } catch (error) {
+                // Fall through to a generated name
+            }
+        }
+        const platform = getCurrentPlatform();
+        return `${platform[0].toUpperCase()}${platform.slice(1)} ${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    getFilePath(name = this.getDeviceName()) {
+        return paths.join(this.plugin.manifest.dir, 'devices', `${name.replace(/[\\/:*?"<>|]/g, '-').trim()}.json`);
+    }
+
+    async load() {
+        const adapter = this.app.vault.adapter;
+        const filepath = this.getFilePath();
+        this.enabledModules = {};
+        this.moduleSettings = {};
+        this.moduleSettingsVersions = {};
+        if (!await adapter.exists(filepath)) return;
+
+        try {
+            const data = JSON.parse(await adapter.read(filepath));
+            const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+            if (isObject(data.enabledModules)) this.enabledModules = data.enabledModules;
+            if (isObject(data.moduleSettings)) this.moduleSettings = data.moduleSettings;
+            if (isObject(data.moduleSettingsVersions)) this.moduleSettingsVersions = data.moduleSettingsVersions;
+        } catch (error) {
+            console.error(`Custom Modules: could not read device overrides from ${filepath}:`, error);
+        }
+    }
+
+    // Writes the overrides file if anything changed, and deletes it once nothing is overridden
+    async save() {
+        if (!this.dirty) return;
+        this.dirty = false;
+
+        const adapter = this.app.vault.adapter;
+        const filepath = this.getFilePath();
+        if (!this.hasOverrides()) {
+            if (await adapter.exists(filepath)) await adapter.remove(filepath);
+            return;
+        }
+
+        const folder = paths.dirname(filepath);
+        if (!await adapter.exists(folder)) await adapter.mkdir(folder);
+        const data = {
+            device: this.getDeviceName(),
+            enabledModules: this.enabledModules,
+            moduleSettings: this.moduleSettings,
+            moduleSettingsVersions: this.moduleSettingsVersions
+        };
+        await adapter.write(filepath, JSON.stringify(data, null, 2));
+    }
+
+    // Gives this device a new name, taking its overrides along
+    async rename(name) {
+        const adapter = this.app.vault.adapter;
+        const from = this.getFilePath();
+        const to = this.getFilePath(name);
+        if (from !== to && await adapter.exists(to)) {
+            throw new Error(`another device is already named "${name}"`);
+        }
+
+        this.app.saveLocalStorage(DEVICE_NAME_KEY, name);
+        if (from !== to && await adapter.exists(from)) {
+            await adapter.rename(from, to);
+        }
+    }
+
+    hasOverrides(moduleId) {
+        if (moduleId === undefined) {
+            return Object.keys(this.enabledModules).length > 0 || Object.values(this.moduleSettings).some(settings => Object.keys(settings).length > 0);
+        }
+        return this.hasEnabled(moduleId) || this.getLocalKeys(moduleId).length > 0;
+    }
+
+    hasEnabled(moduleId) {
+        return moduleId in this.enabledModules;
+    }
+
+    // Keeps the module's enabled state on this device, or with undefined, goes back to the synced one
+    setEnabled(moduleId, enabled) {
+        if (enabled === undefined) {
+            delete this.enabledModules[moduleId];
+        } else {
+            this.enabledModules[moduleId] = enabled;
+        }
+        this.dirty = true;
+    }
+
+    getLocalKeys(moduleId) {
+        return Object.keys(this.moduleSettings[moduleId] || {});
+    }
+
+    getSettings(moduleId) {
+        return this.moduleSettings[moduleId] || {};
+    }
+
+    getSettingsVersion(moduleId) {
+        return this.moduleSettingsVersions[moduleId] || 0;
+    }
+
+    // Keeps one setting on this device with the given value, or with undefined, goes back to the synced value
+    setSetting(moduleId, key, value) {
+        const settings = { ...this.moduleSettings[moduleId] };
+        if (value === undefined) {
+            delete settings[key];
+        } else {
+            settings[key] = value;
+        }
+        const module = this.plugin.registry.getModule(moduleId);
+        this.replaceSettings(moduleId, settings, module ? module.manifest.settingsVersion || 0 : this.getSettingsVersion(moduleId));
+    }
+
+    // Replaces all the values kept on this device for a module
+    replaceSettings(moduleId, settings, settingsVersion) {
+        if (Object.keys(settings).length > 0) {
+            this.moduleSettings[moduleId] = settings;
+            this.moduleSettingsVersions[moduleId] = settingsVersion;
+        } else {
+            delete this.moduleSettings[moduleId];
+            delete this.moduleSettingsVersions[moduleId];
+        }
+        this.dirty = true;
+    }
+}
+
+/**
+ * Profile Manager - saves named module configurations as JSON files in the vault and applies them.
+ * A profile lists modules with their enabled state and, optionally, their settings. Modules it does not list are left alone.
+ */
+class ProfileManager {
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.app = plugin.app;
+    }
+
+    getFolder() {
+        return this.plugin.settings.profilesFolder || DEFAULT_SETTINGS.profilesFolder;
+    }
+
+    getProfilePath(name) {
+        return paths.join(this.getFolder(), `${name.replace(/[\\/:*?"<>|]/g, '-').trim()}.json`);
+    }
+
+    /**
+     * Builds a profile from the current configuration of some modules.
+     * @param {string} name The profile name.
+     * @param {string[]} moduleIds The modules to include.
+     * @param {boolean} includeSettings Whether to include each module's settings as well as its enabled state.
+     */
+    createProfile(name, moduleIds, includeSettings = true) {
+        const { moduleSettingsVersions } = this.plugin.settings;
+        const modules = {};
+
+        for (const id of moduleIds) {
+            const entry = { enabled: this.plugin.isModuleEnabled(id) };
+            const moduleSettings = this.plugin.getModuleSettings(id);
+            if (includeSettings && moduleSettings !== undefined) {
+                entry.settings = structuredClone(moduleSettings);
+                if (moduleSettingsVersions[id]) entry.settingsVersion = moduleSettingsVersions[id];
+            }
+            modules[id] = entry;
+        }
+
+        return { profileVersion: PROFILE_VERSION, name, created: new Date().toISOString(), modules };
+    }
+
+    // Writes a profile to the profiles folder and returns its path
+    async saveProfile(profile) {
+        const adapter = this.app.vault.adapter;
+        const folder = this.getFolder();
+        if (!await adapter.exists(folder)) {
+            await adapter.mkdir(folder);
+        }
+
+        const filepath = this.getProfilePath(profile.name);
+        await adapter.write(filepath, JSON.stringify(profile, null, 2));
+        return filepath;
+    }
+
+    async readProfile(filepath) {
+        const profile = JSON.parse(await this.app.vault.adapter.read(filepath));
+        if (!profile || typeof profile.modules !== 'object' || profile.modules === null) {
+            throw new Error('not a module profile');
+        }
+        if (profile.profileVersion > PROFILE_VERSION) {
+            throw new Error('written by a newer version of the plugin');
+        }
+        return { ...profile, name: profile.name || paths.basename(filepath, '.json'), path: filepath };
+    }
+
+    // Reads every profile in the profiles folder, skipping files that are not profiles
+    async listProfiles() {
+        const adapter = this.app.vault.adapter;
+        const folder = this.getFolder();
+        if (!await adapter.exists(folder)) return [];
+
+        const { files } = await adapter.list(folder);
+        const profiles = [];
+        for (const file of files.filter(file => file.endsWith('.json'))) {
+            try {
+                profiles.push(await this.readProfile(file));
+            } catch (error) {
+                console.warn(`Custom Modules: skipping profile ${file}: ${error.message}`);
+            }
+        }
+        return profiles.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Lists what applying a profile would change.
+     * @returns {Array<{id: string, name: string, installed: boolean, enabled: ?boolean[], settings: Array<{key: string, from: *, to: *}>}>}
+     *          One entry per listed module that is not installed or would change; `enabled` is [before, after] when it changes.
+     */
+    diffProfile(profile) {
+        const changes = [];
+
+        for (const [id, entry] of Object.entries(profile.modules)) {
+            const module = this.plugin.registry.getModule(id);
+            const change = { id, name: module ? module.name : id, installed: !!module, enabled: null, settings: [] };
+
+            const wasEnabled = this.plugin.isModuleEnabled(id);
+            if (typeof entry.enabled === 'boolean' && entry.enabled !== wasEnabled) {
+                change.enabled = [wasEnabled, entry.enabled];
+            }
+
+            if (entry.settings) {
+                const current = this.plugin.getModuleSettings(id) || {};
+                for (const key of new Set([...Object.keys(current), ...Object.keys(entry.settings)])) {
+                    if (JSON.stringify(current[key]) !== JSON.stringify(entry.settings[key])) {
+                        change.settings.push({ key, from: current[key], to: entry.settings[key] });
+                    }
+                }
+            }
+
+            if (!module || change.enabled || change.settings.length > 0) {
+                changes.push(change);
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Applies a profile: saves the listed settings, then disables and enables modules in dependency order.
+     * Entries for modules that are not installed go to the settings archive and are applied when the module is installed.
+     */
+    async applyProfile(profile) {
+        const { registry, settings } = this.plugin;
+        const toEnable = [];
+        const toDisable = [];
+
+        for (const [id, entry] of Object.entries(profile.modules)) {
+            const module = registry.getModule(id);
+            if (!module) {
+                settings.archivedModuleSettings[id] = {
+                    settings: entry.settings,
+                    settingsVersion: entry.settingsVersion,
+                    enabled: !!entry.enabled,
+                    archivedAt: Date.now()
+                };
+                continue;
+            }
+
+            if (entry.settings) {
+                await this.applyModuleSettings(module, entry);
+            }
+            if (entry.enabled === true && !this.plugin.isModuleEnabled(id)) toEnable.push(id);
+            if (entry.enabled === false && this.plugin.isModuleEnabled(id)) toDisable.push(id);
+        }
+
+        // Disable first so conflicts with newly enabled modules are cleared
+        for (const id of registry.sortByDependencies(toDisable).order.reverse()) {
+            await registry.disableModule(id);
+        }
+        for (const id of registry.sortByDependencies(toEnable).order) {
+            await registry.enableModule(id);
+        }
+
+        await this.plugin.saveSettings();
+        this.plugin.refreshSettingTab();
+    }
+
+    async applyModuleSettings(module, entry) {
+        const targetVersion = module.manifest.settingsVersion || 0;
+        const fromVersion = entry.settingsVersion || 0;
+        let moduleSettings = structuredClone(entry.settings);
+
+        if (fromVersion < targetVersion) {
+            try {
+                moduleSettings = this.plugin.registry.migrateSettings(module, fromVersion, moduleSettings);
+            } catch (error) {
+                this.plugin.registry.recordError(module, 'migrate', error);
+                return;
+            }
+        }
+
+        if (targetVersion) {
+            this.plugin.settings.moduleSettingsVersions[module.id] = targetVersion;
+        }
+        await module.saveSettings(moduleSettings);
+    }
+}
+
+// Settings Tab
+class CustomModulesSettingTab extends PluginSettingTab {
+    constructor(app, plugin) {
+        super(app, plugin);
+        this.plugin = plugin;
+        // Module whose card the next render scrolls to and expands
+        this.revealModuleId = null;
+        // Search, filter and sort of the module list, kept while the app is open
+        this.query = '';
+        this.filter = 'all';
+        this.sort = 'default';
+        this.expandedModules = new Set(this.app.loadLocalStorage(EXPANDED_MODULES_KEY) || []);
+        this.modulesEl = null;
+    }
+
+    hide() {
+        super.hide();
+        this.plugin.styles.flushOverrides();
+    }
+
+    display() {
+        const { containerEl } = this;
+        const scrollTop = containerEl.scrollTop;
+        containerEl.empty();
+
+        containerEl.createEl('h2', { text: 'Custom Modules Settings' });
+
+        new Setting(containerEl)
+        .setName('User modules folders')
+        .setDesc('Folders with user-created modules, relative to the vault root, one per line. Subfolders are loaded too. When two modules share an id, the one in the folder listed first wins. Leave blank to use the default "user-modules" folder inside the plugin directory. Click "Reload User Modules" after changing.')
+        .addTextArea(textArea => textArea
+            .setPlaceholder('scripts/modules\nshared/team-modules')
+            .setValue(this.plugin.settings.userModulesFolders.join('\n'))
+            .onChange(async (value) => {
+                this.plugin.settings.userModulesFolders = value.split('\n')
+                    .map(folder => folder.trim().replace(/^\/+|\/+$/g, ''))
+                    .filter(folder => folder.length > 0);
+                await this.plugin.saveSettings();
+            }));
+
+        new Setting(containerEl)
+        .setName('Hot reload user modules')
+        .setDesc('Watch the user modules folders and reload a module as soon as its file changes. Enabled state and module settings are kept.')
+        .addToggle(toggle => toggle
+            .setValue(this.plugin.settings.hotReload)
+            .onChange(async (value) => {
+                this.plugin.settings.hotReload = value;
+                await this.plugin.saveSettings();
+            }));
+
+        new Setting(containerEl)
+        .setName('Restrict undeclared modules')
+        .setDesc('User modules that do not declare capabilities get none: no vault access, network, editor access or Node.js modules. When off, they run unrestricted. Applies when user modules are next loaded.')
+        .addToggle(toggle => toggle
+            .setValue(this.plugin.settings.restrictUndeclaredModules)
+            .onChange(async (value) => {
+                this.plugin.settings.restrictUndeclaredModules = value;
+                await this.plugin.saveSettings();
+            }));
+
+        new Setting(containerEl)
+        .setName('Disable crashing modules')
+        .setDesc('Automatically disable a module once it has failed this many times in a session.')
+        .addToggle(toggle => toggle
+            .setValue(this.plugin.settings.autoDisableCrashingModules)
+            .onChange(async (value) => {
+                this.plugin.settings.autoDisableCrashingModules = value;
+                await this.plugin.saveSettings();
+            }))
+        .addText(text => text
+            .setPlaceholder('3')
+            .setValue(String(this.plugin.settings.crashThreshold))
+            .onChange(async (value) => {
+                this.plugin.settings.crashThreshold = Math.max(1, parseInt(value) || 3);
+                await this.plugin.saveSettings();
+            }));
+
+        let deviceName = this.plugin.device.getDeviceName();
+        let deviceNameText = null;
+        new Setting(containerEl)
+        .setName('Device name')
+        .setDesc('Module settings you keep on this device are saved under this name, in the plugin\'s "devices" folder. Give each device its own name.')
+        .addText(text => deviceNameText = text
+            .setValue(deviceName)
+            .onChange(value => deviceName = value.trim()))
+        .addButton(button => button
+            .setButtonText('Rename')
+            .onClick(async () => {
+                if (!deviceName || deviceName === this.plugin.device.getDeviceName()) return;
+                try {
+                    await this.plugin.device.rename(deviceName);
+                    new Notice(`This device is now named ${deviceName}`);
+                } catch (error) {
+                    new Notice(`Could not rename this device: ${error.message}`);
+                    deviceName = this.plugin.device.getDeviceName();
+                    deviceNameText.setValue(deviceName);
+                }
+            }));
+
+        new Setting(containerEl)
+        .setName('Module profiles')
+        .setDesc('Folder in the vault for profile files. A profile saves which modules are enabled and their settings, to share or switch between.')
+        .addText(text => text
+            .setPlaceholder(DEFAULT_SETTINGS.profilesFolder)
+            .setValue(this.plugin.settings.profilesFolder)
+            .onChange(async (value) => {
+                this.plugin.settings.profilesFolder = value.trim();
+                await this.plugin.saveSettings();
+            }))
+        .addButton(button => button
+            .setButtonText('Export')
+            .onClick(() => new ProfileExportModal(this.app, this.plugin).open()))
+        .addButton(button => button
+            .setButtonText('Import')
+            .onClick(() => this.plugin.chooseProfile(profile => new ProfilePreviewModal(this.app, this.plugin, profile).open())));
+
+        const archivedIds = Object.keys(this.plugin.settings.archivedModuleSettings);
+        if (archivedIds.length > 0) {
+            const archivedSetting = new Setting(containerEl)
+            .setName('Archived module settings')
+            .setDesc(`Kept for modules that are no longer installed, and restored if they return: ${archivedIds.join(', ')}`)
+            .addButton(button => button
+                .setButtonText('Delete')
+                .setWarning()
+                .onClick(async () => {
+                    this.plugin.settings.archivedModuleSettings = {};
+                    await this.plugin.saveSettings();
+                    archivedSetting.settingEl.remove();
+                }));
+        }
+
+        this.viewActionsEl = containerEl.createDiv({ cls: 'custom-modules-view-actions' });
+        this.renderViewActionSettings();
+
+        containerEl.createEl('hr');
+
+        // A module opened through "Open module settings" must not be hidden by the search
+        const revealModule = this.plugin.registry.getModule(this.revealModuleId);
+        if (revealModule && !this.matchesFilter(revealModule)) {
+            this.query = '';
+            this.filter = 'all';
+        }
+
+        this.addModuleToolbar(containerEl);
+        this.modulesEl = containerEl.createDiv({ cls: 'custom-modules-list' });
+
+        // Add information about creating custom modules
+        containerEl.createEl('hr');
+        const infoSection = containerEl.createEl('div', { cls: 'custom-modules-info-section' });
+        infoSection.createEl('h3', { text: 'Creating Custom Modules' });
+        infoSection.createEl('p', {
+            text: 'To create custom modules, add JavaScript files to the "user-modules" folder in this plugin\'s directory or in the folders you\'ve entered in "User modules folders." Each module should export a class extending PluginModule.',
+            cls: 'setting-item-description'
+        });
+
+        new Setting(infoSection)
+            .setName('Create New Module')
+            .setDesc('Generate a module file with the commands, settings, views and other parts you pick')
+            .addButton(button => button
+                .setButtonText('Create')
+                .onClick(() => new ModuleWizardModal(this.app, this.plugin).open())
+            );
+
+        // Add reload button
+        new Setting(infoSection)
+            .setName('Reload User Modules')
+            .setDesc('Reload all user modules from the user modules folders')
+            .addButton(button => button
+                .setButtonText('Reload')
+                .onClick(async () => {
+                    await this.plugin.reloadUserModules();
+                    this.renderModules();
+                    new Notice('User modules reloaded');
+                })
+            );
+
+        // The list was empty until now, so the scroll position saved before emptying the tab is restored
+        this.renderModules(scrollTop);
+    }
+
+    // Order and visibility of the buttons enabled modules add to view headers
+    renderViewActionSettings() {
+        const containerEl = this.viewActionsEl;
+        containerEl.empty();
+        const { viewActions } = this.plugin;
+        const actions = viewActions.getOrderedActions();
+        if (actions.length === 0) return;
+
+        containerEl.createEl('h3', { text: 'Tab Header Buttons' });
+        containerEl.createEl('p', {
+            text: 'Buttons that enabled modules add to the header of notes and other views, from left to right.',
+            cls: 'setting-item-description'
+        });
+
+        actions.forEach((action, index) => {
+            const setting = new Setting(containerEl)
+                .setName(action.tooltip)
+                .setDesc(this.plugin.registry.getModuleName(action.moduleId))
+                .addExtraButton(button => button
+                    .setIcon('arrow-up')
+                    .setTooltip('Move left')
+                    .setDisabled(index === 0)
+                    .onClick(async () => {
+                        await viewActions.move(action.key, -1);
+                        this.renderViewActionSettings();
+                    }))
+                .addExtraButton(button => button
+                    .setIcon('arrow-down')
+                    .setTooltip('Move right')
+                    .setDisabled(index === actions.length - 1)
+                    .onClick(async () => {
+                        await viewActions.move(action.key, 1);
+                        this.renderViewActionSettings();
+                    }))
+                .addToggle(toggle => toggle
+                    .setTooltip('Show in view headers')
+                    .setValue(!viewActions.isHidden(action.key))
+                    .onChange(value => viewActions.setHidden(action.key, !value)));
+            const iconEl = createSpan({ cls: 'custom-modules-view-action-icon' });
+            setIcon(iconEl, action.icon);
+            setting.nameEl.prepend(iconEl);
+        });
+    }
+
+    // Search, filter, sort and bulk actions for the module list; the list re-renders without redrawing the rest of the tab
+    addModuleToolbar(containerEl) {
+        const tags = new Set();
+        this.plugin.registry.getAllModules().forEach(module => (module.manifest.tags || []).forEach(tag => tags.add(tag)));
+        if (this.filter.startsWith('tag:') && !tags.has(this.filter.slice(4))) {
+            this.filter = 'all';
+        }
+
+        new Setting(containerEl)
+            .setClass('custom-modules-toolbar')
+            .addSearch(search => search
+                .setPlaceholder('Search modules')
+                .setValue(this.query)
+                .onChange(value => {
+                    this.query = value;
+                    this.renderModules();
+                }))
+            .addDropdown(dropdown => {
+                dropdown.addOptions({
+                    all: 'All modules',
+                    enabled: 'Enabled',
+                    disabled: 'Disabled',
+                    errored: 'With errors',
+                    core: 'Core',
+                    user: 'User'
+                });
+                [...tags].sort().forEach(tag => dropdown.addOption(`tag:${tag}`, `Tag: ${tag}`));
+                dropdown.setValue(this.filter).onChange(value => {
+                    this.filter = value;
+                    this.renderModules();
+                });
+            })
+            .addDropdown(dropdown => dropdown
+                .addOptions({ default: 'Load order', name: 'Name', status: 'Status' })
+                .setValue(this.sort)
+                .onChange(value => {
+                    this.sort = value;
+                    this.renderModules();
+                }));
+
+        new Setting(containerEl)
+            .setClass('custom-modules-bulk-actions')
+            .setDesc('Applies to the modules shown below.')
+            .addButton(button => button
+                .setButtonText('Enable shown')
+                .onClick(() => this.setShownModulesEnabled(true)))
+            .addButton(button => button
+                .setButtonText('Disable shown')
+                .onClick(() => this.setShownModulesEnabled(false)));
+    }
+
+    matchesFilter(module) {
+        const isCore = module.id.startsWith('core-');
+        const tags = module.manifest.tags || [];
+
+        switch (this.filter) {
+            case 'enabled': if (!this.isOn(module)) return false; break;
+            case 'disabled': if (this.isOn(module)) return false; break;
+            case 'errored': if (!module.lastError) return false; break;
+            case 'core': if (!isCore) return false; break;
+            case 'user': if (isCore) return false; break;
+            default:
+                if (this.filter.startsWith('tag:') && !tags.includes(this.filter.slice(4))) return false;
+        }
+
+        const query = this.query.trim().toLowerCase();
+        if (!query) return true;
+        return [module.name, module.id, module.description, ...tags]
+            .some(text => text && text.toLowerCase().includes(query));
+    }
+
+    // Running, or enabled and waiting for its activation events
+    isOn(module) {
+        return module.enabled || this.plugin.activation.isPending(module.id);
+    }
+
+    // The modules that pass the search and filter, in the chosen order
+    getShownModules() {
+        const modules = this.plugin.registry.getAllModules().filter(module => this.matchesFilter(module));
+        const rank = module => module.lastError ? 0 : this.isOn(module) ? 1 : 2;
+
+        if (this.sort === 'name') {
+            modules.sort((a, b) => a.name.localeCompare(b.name));
+        } else if (this.sort === 'status') {
+            modules.sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+        }
+        return modules;
+    }
+
+    async setShownModulesEnabled(enabled) {
+        const { registry } = this.plugin;
+        // Modules made for other platforms are left alone rather than failing one by one
+        const ids = this.getShownModules()
+            .filter(module => this.isOn(module) !== enabled && !getPlatformProblem(module.manifest.platforms))
+            .map(module => module.id);
+        const { order } = registry.sortByDependencies(ids);
+
+        let changed = 0;
+        if (enabled) {
+            for (const id of order) {
+                if (await registry.enableModule(id)) changed++;
+            }
+        } else {
+            // Most dependent first; a module may already be down because something it needs was disabled
+            for (const id of order.reverse()) {
+                const module = registry.getModule(id);
+                if (module && this.isOn(module) && await registry.disableModule(id)) changed++;
+            }
+        }
+
+        new Notice(`${enabled ? 'Enabled' : 'Disabled'} ${changed} module${changed === 1 ? '' : 's'}`);
+        this.renderModules();
+    }
+
+    /**
+     * Redraws the module cards only, keeping the scroll position and the search box.
+     * @param {number} [scrollTop] The scroll position to restore, if not the current one.
+     */
+    renderModules(scrollTop = this.containerEl.scrollTop) {
+        if (!this.modulesEl) return;
+
+        this.modulesEl.empty();
+
+        const modules = this.getShownModules();
+        const coreModules = modules.filter(module => module.id.startsWith('core-'));
+        const userModules = modules.filter(module => !module.id.startsWith('core-'));
+        const filtered = this.filter !== 'all' || this.query.trim() !== '';
+        const hotkeyIndex = this.plugin.getHotkeyIndex();
+        let revealCard = null;
+
+        if (filtered) {
+            const total = this.plugin.registry.getAllModules().length;
+            this.modulesEl.createEl('p', { text: `Showing ${modules.length} of ${total} modules`, cls: 'setting-item-description' });
+        }
+
+        // Core modules section
+        if (!filtered || coreModules.length > 0) {
+            const coreSection = this.modulesEl.createEl('div', { cls: 'custom-modules-core-section' });
+            coreSection.createEl('h3', { text: 'Core Modules' });
+            coreModules.forEach(module => {
+                const card = this.renderModuleCard(coreSection, module, hotkeyIndex);
+                if (module.id === this.revealModuleId) revealCard = card;
+            });
+            if (coreModules.length === 0) {
+                coreSection.createEl('p', { text: 'No core modules loaded.', cls: 'setting-item-description' });
+            }
+        }
+
+        // User modules section
+        if (!filtered || userModules.length > 0) {
+            const userSection = this.modulesEl.createEl('div', { cls: 'custom-modules-user-section' });
+            userSection.createEl('h3', { text: 'User Modules' });
+            userModules.forEach(module => {
+                const card = this.renderModuleCard(userSection, module, hotkeyIndex);
+                if (module.id === this.revealModuleId) revealCard = card;
+            });
+            if (!filtered) {
+                this.renderUnsupportedFiles(userSection);
+            }
+            if (userModules.length === 0 && (filtered || this.plugin.unsupportedModuleFiles.size === 0)) {
+                userSection.createEl('p', { text: 'No user modules found. Add custom modules to the "user-modules" folder in the plugin directory or the folders you\'ve entered in "User modules folders."', cls: 'setting-item-description' });
+            }
+        }
+
+        if (filtered && modules.length === 0) {
+            this.modulesEl.createEl('p', { text: 'No modules match.', cls: 'setting-item-description' });
+        }
+
+        this.containerEl.scrollTop = scrollTop;
+        if (revealCard) {
+            revealCard.scrollIntoView({ block: 'center' });
+        }
+        this.revealModuleId = null;
+    }
+
+    // User module files that were not run on this device, which have no module to show a card for
+    renderUnsupportedFiles(section) {
+        for (const [file, reason] of this.plugin.unsupportedModuleFiles) {
+            const card = section.createDiv({ cls: 'custom-module-card is-unsupported' });
+            new Setting(card.createDiv({ cls: 'custom-module-header' }))
+                .setName(paths.basename(file))
+                .setDesc(`Not loaded on this device: this module ${reason}.`);
+        }
+    }
+
+    renderModuleCard(section, module, hotkeyIndex) {
+        const moduleCard = section.createEl('div', { cls: 'custom-module-card' });
+        const platformProblem = getPlatformProblem(module.manifest.platforms);
+        const moduleHeader = moduleCard.createEl('div', { cls: 'custom-module-header' });
+
+        // Main toggle for the module
+        const headerSetting = new Setting(moduleHeader)
+            .setName(module.name)
+            .setDesc(module.description)
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.isModuleEnabled(module.id))
+                .setDisabled(!!platformProblem)
+                .onChange(async (value) => {
+                    const changed = value
+                        ? await this.plugin.registry.enableModule(module.id)
+                        : await this.plugin.registry.disableModule(module.id);
+
+                    if (!changed) {
+                        toggle.setValue(!value);
+                        return;
+                    }
+
+                    // Dependents, dependency info and filters may all have changed
+                    this.renderModules();
+                })
+            )
+            .addExtraButton(button => button
+                .setIcon('monitor-smartphone')
+                .setTooltip('Settings kept on this device')
+                .onClick(() => new DeviceOverridesModal(this.app, this.plugin, module, () => this.renderModules()).open())
+            )
+            .addExtraButton(button => button
+                .setIcon('bug')
+                .setTooltip('Open in Module Inspector')
+                .onClick(() => this.plugin.openInspector(module.id))
+            );
+
+        this.addManifestInfo(headerSetting, module);
+        this.addSourceInfo(headerSetting.descEl, module);
+        this.addDependencyInfo(headerSetting.descEl, module);
+        this.addCapabilityInfo(headerSetting.descEl, module);
+        this.addPerformanceInfo(headerSetting.descEl, module);
+        this.addPlatformInfo(headerSetting.descEl, module);
+        this.addDeviceInfo(headerSetting.descEl, module);
+        this.addActivationInfo(headerSetting.descEl, module);
+
+        // Add enabled/disabled class
+        if (platformProblem) {
+            moduleCard.addClass('is-unsupported');
+        } else if (this.plugin.isModuleEnabled(module.id)) {
+            moduleCard.addClass('module-enabled');
+        }
+
+        if (module.lastError) {
+            this.addErrorStatus(moduleCard, module);
+        }
+
+        // Create collapsible settings container
+        const moduleSettingsContainer = moduleCard.createEl('div', { cls: 'custom-module-settings' });
+        const settingsContent = moduleSettingsContainer.createEl('div', { cls: 'custom-module-settings-content' });
+
+        // Add the module's settings
+        module.addSettings(settingsContent);
+        this.addCommandList(settingsContent, headerSetting.descEl, module, hotkeyIndex);
+        this.addStyleOverrides(settingsContent, module);
+
+        // Only make it collapsible if there are settings
+        if (settingsContent.children.length > 0) {
+            moduleCard.addClass('has-settings');
+
+            // Add expand/collapse button
+            const expandBtn = moduleHeader.createEl('div', {
+                cls: 'module-expand-btn',
+                attr: { 'aria-label': 'Expand settings' }
+            });
+            expandBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"></polyline></svg>';
+
+            // Cards stay expanded across redraws; one opened through "Open module settings" starts expanded
+            if (module.id === this.revealModuleId) {
+                this.setExpanded(module.id, true);
+            }
+            const applyCollapse = () => {
+                const isExpanded = this.expandedModules.has(module.id);
+                moduleSettingsContainer.toggleClass('collapsed', !isExpanded);
+                expandBtn.toggleClass('expanded', isExpanded);
+            };
+            applyCollapse();
+
+            const toggleCollapse = () => {
+                this.setExpanded(module.id, !this.expandedModules.has(module.id));
+                applyCollapse();
+            };
+
+            expandBtn.addEventListener('click', toggleCollapse);
+            moduleHeader.addEventListener('click', (e) => {
+                // Only toggle if clicking the header itself, not the toggle switch
+                if (e.target === moduleHeader || e.target.closest('.setting-item-name') || e.target.closest('.setting-item-description')) {
+                    toggleCollapse();
+                }
+            });
+
+            // Make header appear clickable
+            moduleHeader.addClass('clickable');
+        }
+
+        return moduleCard;
+    }
+
+    // Remembers expanded cards in this vault's local storage, so they reopen expanded
+    setExpanded(moduleId, expanded) {
+        if (expanded) {
+            this.expandedModules.add(moduleId);
+        } else {
+            this.expandedModules.delete(moduleId);
+        }
+        this.app.saveLocalStorage(EXPANDED_MODULES_KEY, [...this.expandedModules]);
+    }
+    addManifestInfo(headerSetting, module) {
+        const { version, author, homepage, tags } = module.manifest;
+
+        if (version) {
+            headerSetting.nameEl.createSpan({ text: `v${version}`, cls: 'custom-module-version' });
+        }
+
+        if (author || homepage) {
+            const authorEl = headerSetting.descEl.createDiv({ cls: 'custom-module-author' });
+            if (author) authorEl.appendText(`By ${author}`);
+            if (homepage) {
+                if (author) authorEl.appendText(' · ');
+                authorEl.createEl('a', { text: 'Homepage', href: homepage });
+            }
+        }
+
+        if (tags && tags.length > 0) {
+            const tagsEl = headerSetting.descEl.createDiv({ cls: 'custom-module-tags' });
+            tags.forEach(tag => tagsEl.createSpan({ text: tag, cls: 'custom-module-tag' }));
+        }
+    }
+
+    addSourceInfo(descEl, module) {
+        if (!module.sourceFolder) return;
+
+        const sourceEl = descEl.createDiv({ text: `From ${module.sourceFolder}`, cls: 'custom-module-source' });
+        sourceEl.setAttribute('title', module.sourcePath);
+    }
+
+    // Flags modules whose handlers or startup are slow enough to make Obsidian lag
+    addPerformanceInfo(descEl, module) {
+        const reason = this.plugin.profiler.getSlowReason(module.id);
+        if (!reason) return;
+
+        const slowEl = descEl.createDiv({ cls: 'custom-module-performance' });
+        slowEl.createSpan({ text: 'Slow', cls: 'custom-module-status-badge mod-warning' });
+        slowEl.createSpan({ text: ` ${reason}` });
+        slowEl.setAttribute('title', 'See the Module Inspector for timings');
+    }
+
+    // Says which platforms a module is limited to, and why it can't be switched on here
+    addPlatformInfo(descEl, module) {
+        const { platforms } = module.manifest;
+        if (!platforms) return;
+
+        const problem = getPlatformProblem(platforms);
+        const infoEl = descEl.createDiv({ cls: 'custom-module-platforms' });
+        if (problem) {
+            infoEl.createSpan({ text: 'Unavailable', cls: 'custom-module-status-badge mod-muted' });
+            // The synced enabled state still applies on the devices the module supports
+            const keptEnabled = this.plugin.settings.enabledModules[module.id] ? ' It stays enabled on those devices.' : '';
+            infoEl.createSpan({ text: ` This module ${problem}.${keptEnabled}` });
+        } else if (platforms.length < MODULE_PLATFORMS.length) {
+            infoEl.setText(`${platforms.map(platform => platform[0].toUpperCase() + platform.slice(1)).join(' and ')} only`);
+        }
+    }
+
+    // Says what will start a module that is enabled but waiting for first use
+    addActivationInfo(descEl, module) {
+        const events = this.plugin.activation.pending.get(module.id);
+        if (!events) return;
+
+        const infoEl = descEl.createDiv({ cls: 'custom-module-activation' });
+        infoEl.createSpan({ text: 'Not started', cls: 'custom-module-status-badge mod-muted' });
+        infoEl.createSpan({ text: ` Starts on ${events.map(ActivationManager.describeEvent).join(' or ')}` });
+    }
+
+    // Says what this device keeps for itself instead of the synced values
+    addDeviceInfo(descEl, module) {
+        const { device } = this.plugin;
+        if (!device.hasOverrides(module.id)) return;
+
+        const overridden = device.hasEnabled(module.id) ? ['enabled state'] : [];
+        overridden.push(...device.getLocalKeys(module.id));
+        const infoEl = descEl.createDiv({ cls: 'custom-module-device' });
+        infoEl.createSpan({ text: 'This device', cls: 'custom-module-status-badge mod-local' });
+        infoEl.createSpan({ text: ` Kept on this device: ${overridden.join(', ')}` });
+    }
+
+    addErrorStatus(moduleCard, module) {
+        moduleCard.addClass('module-error');
+
+        const statusEl = moduleCard.createDiv({ cls: 'custom-module-error-status' });
+        statusEl.createSpan({ text: 'Error', cls: 'custom-module-status-badge mod-error' });
+        const count = module.errorCount === 1 ? '1 failure' : `${module.errorCount} failures`;
+        statusEl.createSpan({
+            text: `Failed in ${module.lastError.phase} at ${new Date(module.lastError.time).toLocaleTimeString()} (${count})`,
+            cls: 'custom-module-error-summary'
+        });
+
+        const viewBtn = statusEl.createEl('button', { text: 'View error' });
+        viewBtn.addEventListener('click', () => new ModuleErrorModal(this.app, module).open());
+
+        const retryBtn = statusEl.createEl('button', { text: 'Retry' });
+        retryBtn.addEventListener('click', async () => {
+            const started = await this.plugin.registry.retryModule(module.id);
+            new Notice(started ? `${module.name} enabled` : `${module.name} failed again`);
+            this.renderModules();
+        });
+    }
+
+    // Lists an enabled module's commands with their hotkeys, flagging hotkeys other commands also use
+    addCommandList(containerEl, descEl, module, hotkeyIndex) {
+        const commands = module.getCommands();
+        if (commands.length === 0) return;
+
+        const allCommands = this.app.commands.commands;
+        let hasConflict = false;
+
+        containerEl.createEl('h4', { text: 'Commands', cls: 'custom-module-commands-heading' });
+        for (const command of commands) {
+            const hotkeys = this.plugin.getCommandHotkeys(command.id);
+            const setting = new Setting(containerEl)
+                .setName(command.name)
+                .setDesc(hotkeys.length > 0 ? hotkeys.map(formatHotkey).join(', ') : 'No hotkey')
+                .addExtraButton(button => button
+                    .setIcon('keyboard')
+                    .setTooltip('Change hotkey')
+                    .onClick(() => this.plugin.openHotkeySettings(command.name)));
+
+            for (const hotkey of hotkeys) {
+                const others = (hotkeyIndex.get(getHotkeyCombo(hotkey)) || []).filter(id => id !== command.id);
+                if (others.length === 0) continue;
+
+                hasConflict = true;
+                const names = others.map(id => allCommands[id] ? allCommands[id].name : id);
+                setting.descEl.createDiv({
+                    text: `${formatHotkey(hotkey)} is also used by ${names.join(', ')}`,
+                    cls: 'custom-module-hotkey-conflict'
+                });
+            }
+        }
+
+        if (hasConflict) {
+            descEl.createDiv({ text: 'Hotkey conflict', cls: 'custom-module-hotkey-conflict' });
+        }
+    }
+
+    // CSS the user adds after the module's own, offered once the module has added styles this session
+    addStyleOverrides(containerEl, module) {
+        const { styles } = this.plugin;
+        const overrides = styles.getOverrides(module.id);
+        if (!styles.styledModules.has(module.id) && !overrides) return;
+
+        new Setting(containerEl)
+            .setName('CSS overrides')
+            .setDesc('Added after the module\'s own CSS while it is enabled, so rules with the same selectors win. Changes apply as you type.')
+            .setClass('custom-module-css-overrides')
+            .addTextArea(textArea => {
+                textArea
+                    .setPlaceholder('.some-class {\n    color: var(--text-accent);\n}')
+                    .setValue(overrides)
+                    .onChange(value => styles.setOverrides(module.id, value));
+                textArea.inputEl.rows = 6;
+                textArea.inputEl.spellcheck = false;
+            });
+    }
+
+    addCapabilityInfo(descEl, module) {
+        const sandbox = module.sandbox;
+        if (!sandbox) return; // Core modules ship with the plugin and are not sandboxed
+
+        const infoEl = descEl.createDiv({ cls: 'custom-module-capabilities' });
+
+        if (sandbox.unrestricted) {
+            infoEl.createSpan({
+                text: 'Unrestricted: declares no capabilities',
+                cls: 'custom-module-capability custom-module-capability-unrestricted'
+            });
+            return;
+        }
+
+        const granted = sandbox.describe();
+        if (granted.length === 0) {
+            infoEl.createSpan({ text: 'No capabilities', cls: 'custom-module-capability' });
+            return;
+        }
+
+        for (const description of granted) {
+            infoEl.createSpan({ text: description, cls: 'custom-module-capability' });
+        }
+    }
+
+    addDependencyInfo(descEl, module) {
+        const registry = this.plugin.registry;
+        if (module.dependencies.length === 0 && module.conflicts.length === 0) return;
+
+        const infoEl = descEl.createDiv({ cls: 'custom-module-dependencies' });
+
+        if (module.dependencies.length > 0) {
+            const requiresEl = infoEl.createDiv({ text: 'Requires: ' });
+            module.dependencies.forEach((depId, i) => {
+                const dependency = registry.getModule(depId);
+                const status = !dependency ? ' (not installed)' : !dependency.enabled ? ' (disabled)' : '';
+                requiresEl.createSpan({
+                    text: registry.getModuleName(depId) + status,
+                    cls: status ? 'custom-module-dependency-unmet' : 'custom-module-dependency-met'
+                });
+                if (i < module.dependencies.length - 1) requiresEl.appendText(', ');
+            });
+        }
+
+        if (module.conflicts.length > 0) {
+            infoEl.createDiv({ text: `Conflicts with: ${module.conflicts.map(id => registry.getModuleName(id)).join(', ')}` });
+        }
+
+        const cycle = registry.getDependencyCycle(module.id);
+        if (cycle) {
+            infoEl.createDiv({ text: `Dependency cycle: ${cycle.join(' → ')}`, cls: 'custom-module-dependency-unmet' });
+        }
+    }
+}
+
+// Shows the most recent failure of a module
+class ModuleErrorModal extends Modal {
+    constructor(app, module) {
+        super(app);
+        this.module = module;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        const { lastError, errorCount } = this.module;
+
+        contentEl.createEl('h3', { text: `${this.module.name} error` });
+        contentEl.createEl('p', {
+            text: `Failed in ${lastError.phase} at ${new Date(lastError.time).toLocaleString()}. ${errorCount} failure(s) this session.`
+        });
+        contentEl.createEl('p', { text: lastError.message, cls: 'custom-module-error-message' });
+        contentEl.createEl('pre', { text: lastError.stack, cls: 'custom-module-error-stack' });
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+// Picks which of a module's values this device keeps for itself instead of taking them from data.json
+class DeviceOverridesModal extends Modal {
+    constructor(app, plugin, module, onChange) {
+        super(app);
+        this.plugin = plugin;
+        this.module = module;
+        this.onChange = onChange;
+    }
+
+    onOpen() {
+        this.render();
+    }
+
+    render() {
+        const { contentEl, plugin, module } = this;
+        const { device } = plugin;
+        contentEl.empty();
+
+        contentEl.createEl('h3', { text: `${module.name} on ${device.getDeviceName()}` });
+        contentEl.createEl('p', {
+            text: 'Values kept on this device are not synced: changing them here leaves other devices as they are, and changes made on other devices do not reach this one.',
+            cls: 'setting-item-description'
+        });
+
+        const syncedEnabled = !!plugin.settings.enabledModules[module.id];
+        new Setting(contentEl)
+            .setName('Enabled state')
+            .setDesc(device.hasEnabled(module.id)
+                ? `${plugin.isModuleEnabled(module.id) ? 'Enabled' : 'Disabled'} here, ${syncedEnabled ? 'enabled' : 'disabled'} on synced devices`
+                : `${syncedEnabled ? 'Enabled' : 'Disabled'}, synced`)
+            .addToggle(toggle => toggle
+                .setTooltip('Keep on this device')
+                .setValue(device.hasEnabled(module.id))
+                .onChange(async value => {
+                    await plugin.setEnabledLocal(module.id, value);
+                    this.changed();
+                }));
+
+        const fields = new Map((module.manifest.settings || []).map(field => [field.key, field.name || field.key]));
+        const settings = module.getSettings();
+        const localKeys = device.getLocalKeys(module.id);
+        const keys = [...new Set([...fields.keys(), ...Object.keys(settings), ...localKeys])];
+        if (keys.length === 0) return;
+
+        contentEl.createEl('h4', { text: 'Settings' });
+        const synced = { ...module.getSettingsDefaults(), ...plugin.settings.moduleSettings[module.id] };
+        for (const key of keys) {
+            const isLocal = localKeys.includes(key);
+            // A device override is a value, so a setting with none has nothing to keep yet
+            const isUnset = !isLocal && settings[key] === undefined;
+            new Setting(contentEl)
+                .setName(fields.get(key) || key)
+                .setDesc(isLocal
+                    ? `${DeviceOverridesModal.formatValue(settings[key])} here, ${DeviceOverridesModal.formatValue(synced[key])} synced`
+                    : `${DeviceOverridesModal.formatValue(settings[key])}, synced`)
+                .addToggle(toggle => toggle
+                    .setTooltip(isUnset ? 'Set a value first to keep it on this device' : 'Keep on this device')
+                    .setValue(isLocal)
+                    .setDisabled(isUnset)
+                    .onChange(async value => {
+                        await plugin.setSettingLocal(module.id, key, value);
+                        this.changed();
+                    }));
+        }
+    }
+
+    changed() {
+        this.render();
+        this.onChange();
+    }
+
+    static formatValue(value) {
+        if (value === undefined) return 'not set';
+        const text = JSON.stringify(value);
+        return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+// Picks which modules go into a new profile
+class ProfileExportModal extends Modal {
+    constructor(app, plugin) {
+        super(app);
+        this.plugin = plugin;
+        this.profileName = '';
+        this.includeSettings = true;
+        this.selected = new Set(plugin.registry.moduleOrder);
+        // The profile file the user has agreed to replace by pressing Export a second time
+        this.overwritePath = null;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.createEl('h3', { text: 'Export module profile' });
+
+        new Setting(contentEl)
+            .setName('Profile name')
+            .addText(text => text
+                .setPlaceholder('Writing')
+                .onChange(value => {
+                    this.profileName = value.trim();
+                    this.overwritePath = null;
+                    this.exportButton.setButtonText('Export');
+                }));
+
+        new Setting(contentEl)
+            .setName('Include settings')
+            .setDesc('Off to export only which modules are enabled.')
+            .addToggle(toggle => toggle
+                .setValue(this.includeSettings)
+                .onChange(value => this.includeSettings = value));
+
+        contentEl.createEl('h4', { text: 'Modules' });
+        const listEl = contentEl.createDiv({ cls: 'custom-modules-profile-modules' });
+        this.plugin.registry.getAllModules().forEach(module => {
+            new Setting(listEl)
+                .setName(module.name)
+                .setDesc(this.plugin.isModuleEnabled(module.id) ? 'Enabled' : 'Disabled')
+                .addToggle(toggle => toggle
+                    .setValue(true)
+                    .onChange(value => value ? this.selected.add(module.id) : this.selected.delete(module.id)));
+        });
+
+        new Setting(contentEl)
+            .addButton(button => this.exportButton = button
+                .setButtonText('Export')
+                .setCta()
+                .onClick(() => this.export()));
+    }
+
+    async export() {
+        if (!this.profileName) {
+            new Notice('Enter a profile name');
+            return;
+        }
+
+        const { profiles } = this.plugin;
+        const filepath = profiles.getProfilePath(this.profileName);
+        try {
+            if (filepath !== this.overwritePath && await this.app.vault.adapter.exists(filepath)) {
+                this.overwritePath = filepath;
+                this.exportButton.setButtonText('Overwrite');
+                new Notice(`${filepath} already exists. Press Overwrite to replace it.`);
+                return;
+            }
+
+            const moduleIds = this.plugin.registry.moduleOrder.filter(id => this.selected.has(id));
+            await profiles.saveProfile(profiles.createProfile(this.profileName, moduleIds, this.includeSettings));
+            new Notice(`Saved profile to ${filepath}`);
+            this.close();
+        } catch (error) {
+            console.error(`Custom Modules: could not save profile ${filepath}:`, error);
+            new Notice(`Could not save profile: ${error.message}`);
+        }
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+// Lists the profiles in the profiles folder
+class ProfileSuggestModal extends SuggestModal {
+    constructor(app, profiles, onChoose) {
+        super(app);
+        this.profiles = profiles;
+        this.onChoose = onChoose;
+        this.setPlaceholder('Choose a module profile');
+    }
+
+    getSuggestions(query) {
+        const lowerQuery = query.toLowerCase();
+        return this.profiles.filter(profile => profile.name.toLowerCase().includes(lowerQuery));
+    }
+
+    renderSuggestion(profile, el) {
+        el.createDiv({ text: profile.name });
+        el.createEl('small', { text: `${Object.keys(profile.modules).length} modules · ${profile.path}`, cls: 'custom-modules-profile-path' });
+    }
+
+    onChooseSuggestion(profile) {
+        this.onChoose(profile);
+    }
+}
+
+// Shows what importing a profile would change before applying it
+class ProfilePreviewModal extends Modal {
+    constructor(app, plugin, profile) {
+        super(app);
+        this.plugin = plugin;
+        this.profile = profile;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        const changes = this.plugin.profiles.diffProfile(this.profile);
+
+        contentEl.createEl('h3', { text: `Import profile: ${this.profile.name}` });
+
+        if (changes.length === 0) {
+            contentEl.createEl('p', { text: 'This profile matches your current setup.' });
+        }
+
+        const listEl = contentEl.createDiv({ cls: 'custom-modules-profile-changes' });
+        changes.forEach(change => {
+            const changeEl = listEl.createDiv({ cls: 'custom-modules-profile-change' });
+            changeEl.createEl('strong', { text: change.name });
+
+            if (!change.installed) {
+                changeEl.createDiv({ text: 'Not installed. Its settings are kept and applied when it is.', cls: 'custom-modules-profile-note' });
+            }
+            if (change.enabled) {
+                changeEl.createDiv({ text: change.enabled[1] ? 'Will be enabled' : 'Will be disabled' });
+            }
+            change.settings.forEach(({ key, from, to }) => {
+                changeEl.createDiv({
+                    text: `${key}: ${ProfilePreviewModal.formatValue(from)} → ${ProfilePreviewModal.formatValue(to)}`,
+                    cls: 'custom-modules-profile-setting'
+                });
+            });
+        });
+
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText('Cancel')
+                .onClick(() => this.close()))
+            .addButton(button => button
+                .setButtonText('Apply')
+                .setCta()
+                .setDisabled(changes.length === 0)
+                .onClick(async () => {
+                    this.close();
+                    await this.plugin.profiles.applyProfile(this.profile);
+                    new Notice(`Applied profile ${this.profile.name}`);
+                }));
+    }
+
+    static formatValue(value) {
+        if (value === undefined) return '(unset)';
+        const text = JSON.stringify(value);
+        return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+// Fuzzy-searchable list of every module with its status and quick actions
+class ModuleSwitcherModal extends FuzzySuggestModal {
+    constructor(app, plugin) {
+        super(app);
+        this.plugin = plugin;
+        this.setPlaceholder('Find a module');
+        this.setInstructions([
+            { command: '↵', purpose: 'toggle' },
+            { command: 'shift ↵', purpose: 'open settings' },
+            { command: 'ctrl ↵', purpose: 'restart' },
+            { command: 'esc', purpose: 'dismiss' }
+        ]);
+
+        // SuggestModal only chooses on a plain Enter
+        const chooseSelected = (evt) => {
+            this.chooser.useSelectedItem(evt);
+            return false;
+        };
+        this.scope.register(['Shift'], 'Enter', chooseSelected);
+        this.scope.register(['Mod'], 'Enter', chooseSelected);
+    }
+
+    getItems() {
+        return this.plugin.registry.getAllModules();
+    }
+
+    getItemText(module) {
+        return `${module.name} ${module.id}`;
+    }
+
+    renderSuggestion(match, el) {
+        const module = match.item;
+        el.addClass('custom-modules-switcher-item');
+        el.createDiv({ text: module.name });
+        el.createEl('small', {
+            text: this.plugin.getModuleStatus(module),
+            cls: module.lastError ? 'custom-modules-switcher-status mod-error' : 'custom-modules-switcher-status'
+        });
+    }
+
+    async onChooseItem(module, evt) {
+        const { registry } = this.plugin;
+
+        if (evt.shiftKey) {
+            this.plugin.openModuleSettings(module.id);
+        } else if (evt.ctrlKey || evt.metaKey) {
+            if (await registry.retryModule(module.id)) {
+                new Notice(`Restarted ${module.name}`);
+            }
+        } else {
+            await this.plugin.toggleModule(module.id);
+        }
+        this.plugin.refreshSettingTab();
+    }
+}
+
+// Optional parts of a module made by the "Create new module" wizard
+const MODULE_TEMPLATE_FEATURES = {
+    commands: { name: 'Command', desc: 'A command palette command' },
+    settings: { name: 'Settings', desc: 'A setting on the module\'s card, read with this.getSettings()' },
+    ribbon: { name: 'Ribbon icon', desc: 'An icon in the left ribbon' },
+    view: { name: 'Sidebar view', desc: 'A view that opens in the right sidebar' },
+    editorExtension: { name: 'Editor extension', desc: 'A CodeMirror extension for the editor' },
+    statusBar: { name: 'Status bar item', desc: 'Text in the status bar' }
+};
+
+const MODULE_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Generates the source of a working user module. Everything it adds goes through the PluginModule
+ * helpers, so the module unloads cleanly however many features are picked.
+ * @param {{id: string, name: string, description: string, features: string[]}} options
+ * @returns {string} The module file's contents.
+ */
+function buildModuleSource({ id, name, description, features }) {
+    const has = feature => features.includes(feature);
+    const quote = text => `'${text.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+    const className = id.split('-').map(part => part[0].toUpperCase() + part.slice(1)).join('').replace(/^(\d)/, 'M$1');
+    const lines = [];
+    const add = (...newLines) => lines.push(...newLines);
+
+    add(`// ${name}`, `// ${description}`);
+    // An empty declaration keeps the module sandboxed with no capabilities
+    add(`// @capabilities${has('editorExtension') ? ' editor' : ''}`, '');
+
+    const imports = [];
+    if (has('commands') || has('ribbon')) imports.push('Notice');
+    if (has('view')) imports.push('ItemView');
+    if (imports.length > 0) add(`const { ${imports.join(', ')} } = obsidian;`);
+    if (has('editorExtension')) add('const { ViewPlugin } = require(\'@codemirror/view\');');
+    add('');
+
+    if (has('view')) {
+        add(`const VIEW_TYPE = '${id}-view';`, '');
+        add(
+            `class ${className}View extends ItemView {`,
+            '    getViewType() {',
+            '        return VIEW_TYPE;',
+            '    }',
+            '',
+            '    getDisplayText() {',
+            `        return ${quote(name)};`,
+            '    }',
+            '',
+            '    getIcon() {',
+            '        return \'puzzle\';',
+            '    }',
+            '',
+            '    async onOpen() {',
+            '        this.contentEl.empty();',
+            `        this.contentEl.createEl('h4', { text: ${quote(name)} });`,
+            '        this.contentEl.createEl(\'p\', { text: \'Build the view here.\' });',
+            '    }',
+            '',
+            '    async onClose() {',
+            '        // Release anything onOpen set up outside contentEl',
+            '    }',
+            '}',
+            ''
+        );
+    }
+
+    add(`class ${className}Module extends PluginModule {`);
+    add('    static manifest = {', '        version: \'0.1.0\'' + (has('settings') ? ',' : ''));
+    if (has('settings')) {
+        add(
+            '        settings: [',
+            '            { key: \'greeting\', type: \'text\', name: \'Greeting\', desc: \'The message the module shows\', default: \'Hello!\' }',
+            '        ]'
+        );
+    }
+    add('    };', '');
+
+    add(
+        '    constructor(plugin) {',
+        '        super(plugin);',
+        `        this.id = ${quote(id)};`,
+        `        this.name = ${quote(name)};`,
+        `        this.description = ${quote(description)};`,
+        '    }',
+        ''
+    );
+
+    add(
+        '    async onEnable() {',
+        '        // Everything added through this.addCommand, this.registerView and the other helpers',
+        '        // is removed automatically when the module is disabled or reloaded.'
+    );
+    if (has('commands')) {
+        add(
+            '',
+            '        this.addCommand({',
+            '            id: \'show-greeting\',',
+            '            name: \'Show greeting\',',
+            '            callback: () => this.showGreeting()',
+            '        });'
+        );
+    }
+    if (has('view')) {
+        add(
+            '',
+            `        this.registerView(VIEW_TYPE, leaf => new ${className}View(leaf));`,
+            '        this.addCommand({',
+            '            id: \'open-view\',',
+            '            name: \'Open view\',',
+            '            callback: () => this.activateView()',
+            '        });'
+        );
+    }
+    if (has('ribbon')) {
+        const action = has('view') ? 'this.activateView()' : 'this.showGreeting()';
+        add('', `        this.addRibbonIcon('puzzle', ${quote(name)}, () => ${action});`);
+    }
+    if (has('statusBar')) {
+        add('', '        this.statusBarEl = this.addStatusBarItem();', '        this.updateStatusBar();');
+    }
+    if (has('editorExtension')) {
+        add(
+            '',
+            '        // Runs inside every editor; see the CodeMirror documentation for what a ViewPlugin can do',
+            '        this.registerEditorExtension(ViewPlugin.fromClass(class {',
+            '            update(update) {',
+            '                if (update.docChanged) {',
+            '                    // React to edits here',
+            '                }',
+            '            }',
+            '        }));'
+        );
+    }
+    add('    }', '');
+
+    add(
+        '    async onDisable() {',
+        '        // Clean up anything not added through the helpers, such as timers started with setTimeout',
+        '    }'
+    );
+
+    if (has('settings')) {
+        add(
+            '',
+            '    // Called after the settings on the module\'s card change',
+            '    async onSettingsChanged(diff) {',
+            '        if (\'greeting\' in diff) {',
+            has('statusBar') ? '            this.updateStatusBar();' : '            this.log.info(\'Greeting is now\', diff.greeting);',
+            '        }',
+            '    }'
+        );
+    }
+
+    const showsGreeting = has('commands') || (has('ribbon') && !has('view'));
+    if (showsGreeting || has('statusBar')) {
+        add('', '    getGreeting() {');
+        add(has('settings') ? '        return this.getSettings().greeting;' : `        return ${quote(`Hello from ${name}!`)};`);
+        add('    }');
+    }
+    if (showsGreeting) {
+        add('', '    showGreeting() {', '        new Notice(this.getGreeting());', '    }');
+    }
+    if (has('statusBar')) {
+        add('', '    updateStatusBar() {', '        this.statusBarEl.setText(this.getGreeting());', '    }');
+    }
+    if (has('view')) {
+        add(
+            '',
+            '    async activateView() {',
+            '        let leaf = this.app.workspace.getLeavesOfType(VIEW_TYPE)[0];',
+            '        if (!leaf) {',
+            '            leaf = this.app.workspace.getRightLeaf(false);',
+            '            await leaf.setViewState({ type: VIEW_TYPE, active: true });',
+            '        }',
+            '        this.app.workspace.revealLeaf(leaf);',
+            '    }'
+        );
+    }
+
+    add('}', '', `module.exports = ${className}Module;`, '');
+    return lines.join('\n');
+}
+
+// Asks for a new module's id, name and features, then writes the module into a user modules folder
+class ModuleWizardModal extends Modal {
+    constructor(app, plugin) {
+        super(app);
+        this.plugin = plugin;
+        this.moduleId = '';
+        this.moduleName = '';
+        this.description = '';
+        this.folder = plugin.getUserModulesPaths()[0];
+        this.features = new Set(['commands']);
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.createEl('h3', { text: 'Create new module' });
+
+        new Setting(contentEl)
+            .setName('Name')
+            .addText(text => text
+                .setPlaceholder('Word Goals')
+                .onChange(value => {
+                    this.moduleName = value.trim();
+                    // Suggest an id from the name until one is typed
+                    if (!this.idEdited) {
+                        this.moduleId = this.moduleName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+                        this.idInput.setValue(this.moduleId);
+                    }
+                }));
+
+        new Setting(contentEl)
+            .setName('ID')
+            .setDesc('Lowercase letters, digits and dashes. Also the file name.')
+            .addText(text => {
+                this.idInput = text;
+                text.setPlaceholder('word-goals')
+                    .onChange(value => {
+                        this.moduleId = value.trim();
+                        this.idEdited = this.moduleId !== '';
+                    });
+            });
+
+        new Setting(contentEl)
+            .setName('Description')
+            .addText(text => text
+                .setPlaceholder('What the module does')
+                .onChange(value => this.description = value.trim()));
+
+        const folders = this.plugin.getUserModulesPaths();
+        if (folders.length > 1) {
+            new Setting(contentEl)
+                .setName('Folder')
+                .addDropdown(dropdown => {
+                    folders.forEach(folder => dropdown.addOption(folder, folder));
+                    dropdown.setValue(this.folder).onChange(value => this.folder = value);
+                });
+        }
+
+        contentEl.createEl('h4', { text: 'Features' });
+        for (const [feature, { name, desc }] of Object.entries(MODULE_TEMPLATE_FEATURES)) {
+            new Setting(contentEl)
+                .setName(name)
+                .setDesc(desc)
+                .addToggle(toggle => toggle
+                    .setValue(this.features.has(feature))
+                    .onChange(value => value ? this.features.add(feature) : this.features.delete(feature)));
+        }
+
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText('Create')
+                .setCta()
+                .onClick(async () => {
+                    const problem = await this.getProblem();
+                    if (problem) {
+                        new Notice(problem);
+                        return;
+                    }
+
+                    button.setDisabled(true);
+                    const created = await this.plugin.createModuleFile(this.folder, {
+                        id: this.moduleId,
+                        name: this.moduleName,
+                        description: this.description || this.moduleName,
+                        features: Object.keys(MODULE_TEMPLATE_FEATURES).filter(feature => this.features.has(feature))
+                    });
+                    if (created) {
+                        this.close();
+                    } else {
+                        button.setDisabled(false);
+                    }
+                }));
+    }
+
+    // The reason the entered module can't be created, if any
+    async getProblem() {
+        if (!this.moduleName) return 'Enter a module name';
+        if (!MODULE_ID_PATTERN.test(this.moduleId)) return 'The ID may only contain lowercase letters, digits and single dashes';
+        if (this.plugin.registry.getModule(this.moduleId)) return `A module with the ID "${this.moduleId}" is already loaded`;
+        if (await this.app.vault.adapter.exists(paths.join(this.folder, `${this.moduleId}.js`))) {
+            return `${this.moduleId}.js already exists in ${this.folder}`;
+        }
+        return null;
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+// Headings for the resource types a module can register, in the order the inspector lists them
+const RESOURCE_TYPE_NAMES = {
+    'command': 'Commands',
+    'event': 'Events',
+    'dom-event': 'DOM events',
+    'status-bar-item': 'Status bar items',
+    'ribbon-icon': 'Ribbon icons',
+    'view': 'Views',
+    'editor-extension': 'Editor extensions',
+    'view-action': 'View actions',
+    'style': 'Styles',
+    'interval': 'Intervals',
+    'callback': 'Cleanup callbacks'
+};
+
+/**
+ * Sidebar view for debugging modules: what one module has registered, its settings and log level,
+ * and the captured logs of that module or all modules.
+ */
+class ModuleInspectorView extends ItemView {
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+        // The inspected module; null shows the logs of all modules
+        this.moduleId = null;
+        this.logLevel = 'debug';
+        this.logQuery = '';
+    }
+
+    getViewType() {
+        return MODULE_INSPECTOR_VIEW;
+    }
+
+    getDisplayText() {
+        return 'Module Inspector';
+    }
+
+    getIcon() {
+        return 'bug';
+    }
+
+    async onOpen() {
+        this.contentEl.addClass('custom-modules-inspector');
+        this.registerEvent(this.plugin.logs.on('entry', entry => {
+            if (this.logListEl && this.matchesLog(entry)) this.renderLogEntry(entry);
+        }));
+        this.registerEvent(this.plugin.logs.on('clear', () => this.renderLogs()));
+        this.registerEvent(this.plugin.registry.on('module-registered', () => this.render()));
+        this.registerEvent(this.plugin.registry.on('module-unregistered', () => this.render()));
+        this.render();
+    }
+
+    async onClose() {
+        this.contentEl.empty();
+    }
+
+    // Shows one module, or all modules' logs when moduleId is null
+    inspect(moduleId) {
+        this.moduleId = moduleId;
+        this.render();
+    }
+
+    render() {
+        const { contentEl } = this;
+        contentEl.empty();
+
+        const module = this.plugin.registry.getModule(this.moduleId);
+        if (!module) this.moduleId = null;
+
+        new Setting(contentEl)
+            .setName('Module')
+            .addDropdown(dropdown => {
+                dropdown.addOption('', 'All modules (logs only)');
+                this.plugin.registry.getAllModules().forEach(m => dropdown.addOption(m.id, m.name));
+                dropdown.setValue(this.moduleId || '').onChange(value => this.inspect(value || null));
+            })
+            .addExtraButton(button => button
+                .setIcon('refresh-cw')
+                .setTooltip('Refresh')
+                .onClick(() => this.render()));
+
+        if (module) {
+            this.renderModuleDetails(contentEl, module);
+            this.renderModulePerformance(contentEl, module);
+        } else {
+            this.renderPerformanceSummary(contentEl);
+        }
+
+        contentEl.createEl('h4', { text: 'Logs' });
+        new Setting(contentEl)
+            .setClass('custom-modules-inspector-log-filter')
+            .addSearch(search => search
+                .setPlaceholder('Filter logs')
+                .setValue(this.logQuery)
+                .onChange(value => {
+                    this.logQuery = value;
+                    this.renderLogs();
+                }))
+            .addDropdown(dropdown => dropdown
+                .addOptions({ debug: 'Debug and up', info: 'Info and up', warn: 'Warnings and errors', error: 'Errors' })
+                .setValue(this.logLevel)
+                .onChange(value => {
+                    this.logLevel = value;
+                    this.renderLogs();
+                }))
+            .addExtraButton(button => button
+                .setIcon('trash')
+                .setTooltip('Clear all logs')
+                .onClick(() => this.plugin.logs.clear()));
+
+        this.logListEl = contentEl.createDiv({ cls: 'custom-modules-inspector-logs' });
+        this.renderLogs();
+    }
+
+    renderModuleDetails(containerEl, module) {
+        const status = module.enabled ? 'Enabled' : this.plugin.activation.isPending(module.id) ? 'Enabled, starts on first use' : 'Disabled';
+        containerEl.createEl('p', {
+            text: module.lastError ? `${status} · ${module.errorCount} error${module.errorCount === 1 ? '' : 's'}` : status,
+            cls: 'setting-item-description'
+        });
+
+        new Setting(containerEl)
+            .setName('Log level')
+            .setDesc('Messages below this level are dropped. Failures the plugin catches are always kept.')
+            .addDropdown(dropdown => dropdown
+                .addOptions({ debug: 'Debug', info: 'Info', warn: 'Warning', error: 'Error', off: 'Off' })
+                .setValue(module.log.getLevel())
+                .onChange(value => this.plugin.setModuleLogLevel(module.id, value)));
+
+        containerEl.createEl('h4', { text: 'Registered' });
+        if (module.resources.length === 0) {
+            containerEl.createEl('p', {
+                text: module.enabled ? 'Nothing registered through the module helpers.' : 'Nothing; the module is disabled.',
+                cls: 'setting-item-description'
+            });
+        }
+        const types = [...Object.keys(RESOURCE_TYPE_NAMES), ...module.resources.map(resource => resource.type)];
+        for (const type of new Set(types)) {
+            const resources = module.resources.filter(resource => resource.type === type);
+            if (resources.length === 0) continue;
+
+            const details = containerEl.createEl('details', { cls: 'custom-modules-inspector-resources' });
+            details.createEl('summary', { text: `${RESOURCE_TYPE_NAMES[type] || type} (${resources.length})` });
+            const list = details.createEl('ul');
+            resources.forEach(resource => list.createEl('li', { text: resource.label }));
+        }
+
+        const services = [...this.plugin.services.services.keys()].filter(name => this.plugin.services.getProvider(name) === module.id);
+        if (services.length > 0) {
+            containerEl.createEl('p', { text: `Provides: ${services.join(', ')}`, cls: 'setting-item-description' });
+        }
+
+        containerEl.createEl('h4', { text: 'Settings' });
+        containerEl.createEl('pre', {
+            text: JSON.stringify(module.getSettings(), null, 2),
+            cls: 'custom-modules-inspector-settings'
+        });
+    }
+
+    // Time spent in one module's lifecycle and handlers, costliest handler first
+    renderModulePerformance(containerEl, module) {
+        const { profiler } = this.plugin;
+        const summary = profiler.getSummary(module.id);
+        const formatMs = ms => ms === null ? '–' : `${ms.toFixed(1)} ms`;
+
+        new Setting(containerEl)
+            .setHeading()
+            .setName('Performance')
+            .addExtraButton(button => button
+                .setIcon('rotate-ccw')
+                .setTooltip('Reset timings')
+                .onClick(() => {
+                    profiler.reset(module.id);
+                    this.render();
+                }));
+
+        this.addSlowWarning(containerEl, module.id);
+        containerEl.createEl('p', {
+            text: `Last enable ${formatMs(summary.enable)} · last disable ${formatMs(summary.disable)}`,
+            cls: 'setting-item-description'
+        });
+
+        if (summary.handlers.length === 0) {
+            containerEl.createEl('p', { text: 'No handler calls recorded yet.', cls: 'setting-item-description' });
+            return;
+        }
+        this.renderCostTable(containerEl, ['Handler', 'Calls', 'Total', 'Average', 'Slowest'], summary.handlers.map(stats => ({
+            cells: [stats.label, String(stats.calls), formatMs(stats.totalMs), formatMs(stats.totalMs / stats.calls), formatMs(stats.maxMs)],
+            slow: stats.totalMs / stats.calls > SLOW_HANDLER_MS
+        })));
+    }
+
+    // Every module's handler time, costliest module first
+    renderPerformanceSummary(containerEl) {
+        const { profiler, registry } = this.plugin;
+        const rows = registry.getAllModules()
+            .map(module => ({ module, summary: profiler.getSummary(module.id) }))
+            .filter(({ summary }) => summary.calls > 0 || summary.enable !== null)
+            .sort((a, b) => b.summary.totalMs - a.summary.totalMs);
+
+        new Setting(containerEl)
+            .setHeading()
+            .setName('Performance')
+            .setDesc('Time spent in module handlers since they were enabled. Select a module for details.');
+
+        if (rows.length === 0) {
+            containerEl.createEl('p', { text: 'No timings recorded yet.', cls: 'setting-item-description' });
+            return;
+        }
+        this.renderCostTable(containerEl, ['Module', 'Calls', 'Handlers', 'Slowest', 'Enable'], rows.map(({ module, summary }) => ({
+            cells: [
+                module.name,
+                String(summary.calls),
+                `${summary.totalMs.toFixed(1)} ms`,
+                `${summary.maxMs.toFixed(1)} ms`,
+                summary.enable === null ? '–' : `${Math.round(summary.enable)} ms`
+            ],
+            slow: profiler.getSlowReason(module.id) !== null,
+            onClick: () => this.inspect(module.id)
+        })));
+    }
+
+    renderCostTable(containerEl, headings, rows) {
+        const table = containerEl.createEl('table', { cls: 'custom-modules-cost-table' });
+        const headRow = table.createEl('thead').createEl('tr');
+        headings.forEach(heading => headRow.createEl('th', { text: heading }));
+
+        const body = table.createEl('tbody');
+        for (const row of rows) {
+            const rowEl = body.createEl('tr', { cls: row.slow ? 'mod-slow' : '' });
+            row.cells.forEach(cell => rowEl.createEl('td', { text: cell }));
+            if (row.onClick) {
+                rowEl.addClass('is-clickable');
+                rowEl.addEventListener('click', row.onClick);
+            }
+        }
+    }
+
+    addSlowWarning(containerEl, moduleId) {
+        const reason = this.plugin.profiler.getSlowReason(moduleId);
+        if (reason) {
+            containerEl.createEl('p', { text: `Slow: ${reason}`, cls: 'custom-modules-slow-warning' });
+        }
+    }
+
+    matchesLog(entry) {
+        if (this.moduleId && entry.moduleId !== this.moduleId) return false;
+        if (LOG_LEVELS.indexOf(entry.level) < LOG_LEVELS.indexOf(this.logLevel)) return false;
+        const query = this.logQuery.trim().toLowerCase();
+        return !query || entry.message.toLowerCase().includes(query) || entry.moduleId.toLowerCase().includes(query);
+    }
+
+    renderLogs() {
+        if (!this.logListEl) return;
+        this.logListEl.empty();
+
+        const entries = this.plugin.logs.getEntries(this.moduleId).filter(entry => this.matchesLog(entry));
+        if (entries.length === 0) {
+            this.logListEl.createEl('p', { text: 'No log entries.', cls: 'setting-item-description custom-modules-inspector-empty' });
+        }
+        entries.forEach(entry => this.renderLogEntry(entry));
+    }
+
+    renderLogEntry(entry) {
+        const listEl = this.logListEl;
+        const emptyEl = listEl.querySelector('.custom-modules-inspector-empty');
+        if (emptyEl) emptyEl.remove();
+
+        // Follow new entries unless the user has scrolled up to read older ones
+        const atBottom = listEl.scrollTop + listEl.clientHeight >= listEl.scrollHeight - 4;
+        if (listEl.children.length >= LOG_BUFFER_SIZE) listEl.firstChild.remove();
+
+        const entryEl = listEl.createDiv({ cls: `custom-modules-log-entry custom-modules-log-${entry.level}` });
+        entryEl.createSpan({ text: new Date(entry.time).toLocaleTimeString(), cls: 'custom-modules-log-time' });
+        if (!this.moduleId) {
+            entryEl.createSpan({ text: this.plugin.registry.getModuleName(entry.moduleId), cls: 'custom-modules-log-module' });
+        }
+        entryEl.createSpan({ text: entry.message, cls: 'custom-modules-log-message' });
+
+        if (atBottom) listEl.scrollTop = listEl.scrollHeight;
+    }
+}
+
+// Main Plugin Class
+class CustomModulesPlugin extends Plugin {
+    constructor() {
+        super(...arguments);
+        this.settings = DEFAULT_SETTINGS;
+        this.registry = new ModuleRegistry(this);
+        this.services = new ServiceRegistry();
+        this.profiles = new ProfileManager(this);
+        this.device = new DeviceOverrides(this);
+        this.libs = new LibraryLoader(this);
+        this.logs = new ModuleLogBuffer(LOG_BUFFER_SIZE);
+        this.profiler = new ModuleProfiler();
+        this.viewActions = new ViewActionManager(this);
+        this.styles = new StyleManager(this);
+        this.activation = new ActivationManager(this);
+        // Make obsidian available to the plugin instance
+        this.obsidian = require('obsidian');
+        // Maps each loaded user module file to the id of the module it registered
+        this.userModuleFiles = new Map();
+        // User module files not run on this device because their header names other platforms, with the reason
+        this.unsupportedModuleFiles = new Map();
+        // Editor extensions added by modules, registered with Obsidian once as a single mutable array
+        this.editorExtensions = [];
+        this.hotReloadTimers = new Map();
+        // When each module file was last hot reloaded, so several changed files of one module reload it once
+        this.hotReloadTimes = new Map();
+        this.hotReloadQueue = Promise.resolve();
+    }
+
+    async onload() {
+        // Set up paths
+        const adapter = this.app.vault.adapter;
+
+        //Load settings first, so we know the custom user-modules path
+        await this.loadSettings();
+        await this.device.load();
+
+        this.registerEditorExtension(this.editorExtensions);
+        this.addModuleManagementCommands();
+        this.registerView(MODULE_INSPECTOR_VIEW, leaf => new ModuleInspectorView(leaf, this));
+        this.viewActions.load();
+        this.activation.load();
+
+        const [userModulesPath] = this.getUserModulesPaths();
+
+        // Ensure the first user modules folder exists
+        if (!await adapter.exists(userModulesPath)) {
+            await adapter.mkdir(userModulesPath);
+            // Create a sample module file
+            await this.createSampleModule();
+        }
+
+        // Load core modules
+        await this.loadCoreModules();
+
+        // Load user modules
+        await this.loadUserModules();
+
+        this.archiveOrphanedSettings();
+        await this.saveSettings();
+
+        // Inject custom styles for settings panel
+        this.injectStyles();
+
+        // Add settings tab
+        this.settingTab = new CustomModulesSettingTab(this.app, this);
+        this.addSettingTab(this.settingTab);
+
+        this.addProfileCommands();
+
+        // Enable modules based on settings
+        this.app.workspace.onLayoutReady(async () => {
+            await this.initializeModules();
+            this.watchUserModules();
+        });
+
+        // Export PluginModule class for user modules
+        window.CustomModulesAPI = {
+            PluginModule: PluginModule,
+            paths: paths,
+            registry: this.registry,
+            services: this.services
+        };
+    }
+
+    // Commands for managing modules, including one set per module kept in step with the registry
+    addModuleManagementCommands() {
+        this.addCommand({
+            id: 'reload-user-modules',
+            name: 'Reload user modules',
+            callback: async () => {
+                await this.reloadUserModules();
+                this.refreshSettingTab();
+                new Notice('User modules reloaded');
+            }
+        });
+
+        this.addCommand({
+            id: 'manage-modules',
+            name: 'Manage modules',
+            callback: () => new ModuleSwitcherModal(this.app, this).open()
+        });
+
+        this.addCommand({
+            id: 'create-module',
+            name: 'Create new module',
+            callback: () => new ModuleWizardModal(this.app, this).open()
+        });
+
+        this.addCommand({
+            id: 'open-module-inspector',
+            name: 'Open module inspector',
+            callback: () => this.openInspector()
+        });
+
+        this.registerEvent(this.registry.on('module-registered', module => this.addModuleCommands(module)));
+        this.registerEvent(this.registry.on('module-unregistered', moduleId => this.removeModuleCommands(moduleId)));
+    }
+
+    addModuleCommands(module) {
+        const { registry } = this;
+        const moduleId = module.id;
+
+        // Commands look the module up when run, as hot reloading replaces the instance
+        this.addCommand({
+            id: `enable-module-${moduleId}`,
+            name: `Enable module: ${module.name}`,
+            checkCallback: (checking) => {
+                const current = registry.getModule(moduleId);
+                if (!current || current.enabled || this.activation.isPending(moduleId)) return false;
+                if (!checking) this.toggleModule(moduleId);
+                return true;
+            }
+        });
+
+        this.addCommand({
+            id: `disable-module-${moduleId}`,
+            name: `Disable module: ${module.name}`,
+            checkCallback: (checking) => {
+                const current = registry.getModule(moduleId);
+                if (!current || !(current.enabled || this.activation.isPending(moduleId))) return false;
+                if (!checking) this.toggleModule(moduleId);
+                return true;
+            }
+        });
+
+        this.addCommand({
+            id: `toggle-module-${moduleId}`,
+            name: `Toggle module: ${module.name}`,
+            callback: () => this.toggleModule(moduleId)
+        });
+
+        this.addCommand({
+            id: `open-module-settings-${moduleId}`,
+            name: `Open module settings: ${module.name}`,
+            callback: () => this.openModuleSettings(moduleId)
+        });
+    }
+
+    removeModuleCommands(moduleId) {
+        for (const action of ['enable-module', 'disable-module', 'toggle-module', 'open-module-settings']) {
+            this.removePluginCommand(`${action}-${moduleId}`);
+        }
+    }
+
+    removePluginCommand(commandId) {
+        if (this.removeCommand) {
+            this.removeCommand(commandId);
+        } else {
+            // Plugin.removeCommand only exists from Obsidian 1.7.2
+            this.app.commands.removeCommand(`${this.manifest.id}:${commandId}`);
+        }
+    }
+
+    // Enables a disabled module or disables an enabled one, with a notice saying which
+    async toggleModule(moduleId) {
+        const module = this.registry.getModule(moduleId);
+        if (!module) return false;
+
+        const enable = !(module.enabled || this.activation.isPending(moduleId));
+        const changed = enable
+            ? await this.registry.enableModule(moduleId)
+            : await this.registry.disableModule(moduleId);
+
+        if (changed) {
+            new Notice(`${enable ? 'Enabled' : 'Disabled'} ${module.name}`);
+            this.refreshSettingTab();
+        }
+        return changed;
+    }
+
+    /**
+     * Opens the Module Inspector in the right sidebar, or reveals it if it is already open.
+     * @param {string} [moduleId] A module to inspect; otherwise the view keeps its current module.
+     */
+    async openInspector(moduleId) {
+        let leaf = this.app.workspace.getLeavesOfType(MODULE_INSPECTOR_VIEW)[0];
+        if (!leaf) {
+            leaf = this.app.workspace.getRightLeaf(false);
+            await leaf.setViewState({ type: MODULE_INSPECTOR_VIEW, active: true });
+        }
+        this.app.workspace.revealLeaf(leaf);
+        if (moduleId && leaf.view instanceof ModuleInspectorView) {
+            leaf.view.inspect(moduleId);
+        }
+    }
+
+    async setModuleLogLevel(moduleId, level) {
+        if (level === DEFAULT_LOG_LEVEL) {
+            delete this.settings.moduleLogLevels[moduleId];
+        } else {
+            this.settings.moduleLogLevels[moduleId] = level;
+        }
+        await this.saveSettings();
+    }
+
+    // Opens this plugin's settings tab scrolled to a module's card, with its settings expanded
+    openModuleSettings(moduleId) {
+        this.settingTab.revealModuleId = moduleId;
+        this.app.setting.open();
+        this.app.setting.openTabById(this.manifest.id);
+    }
+
+    // One-line status for lists of modules
+    getModuleStatus(module) {
+        if (module.lastError) {
+            return `Failed in ${module.lastError.phase}: ${module.lastError.message}`;
+        }
+        if (module.enabled) {
+            return 'Enabled';
+        }
+        if (this.activation.isPending(module.id)) {
+            return 'Enabled · starts on first use';
+        }
+        const blocker = this.registry.getEnableBlocker(module);
+        return blocker ? `Disabled · ${blocker}` : 'Disabled';
+    }
+
+    // The hotkeys a command is bound to: the user's own if they have set any, otherwise its defaults
+    getCommandHotkeys(commandId) {
+        const { hotkeyManager } = this.app;
+        return hotkeyManager.getHotkeys(commandId) || hotkeyManager.getDefaultHotkeys(commandId) || [];
+    }
+
+    // Maps each hotkey combination in use to the ids of every command bound to it, across Obsidian and all plugins
+    getHotkeyIndex() {
+        const index = new Map();
+        for (const commandId of Object.keys(this.app.commands.commands)) {
+            for (const hotkey of this.getCommandHotkeys(commandId)) {
+                const combo = getHotkeyCombo(hotkey);
+                if (!index.has(combo)) index.set(combo, []);
+                index.get(combo).push(commandId);
+            }
+        }
+        return index;
+    }
+
+    // Opens Obsidian's hotkey settings filtered to a command
+    openHotkeySettings(query) {
+        this.app.setting.open();
+        const tab = this.app.setting.openTabById('hotkeys');
+        if (tab && tab.searchComponent) {
+            tab.searchComponent.setValue(query);
+            tab.updateHotkeyVisibility();
+        }
+    }
+
+    addProfileCommands() {
+        this.addCommand({
+            id: 'export-module-profile',
+            name: 'Export module profile',
+            callback: () => new ProfileExportModal(this.app, this).open()
+        });
+
+        this.addCommand({
+            id: 'import-module-profile',
+            name: 'Import module profile',
+            callback: () => this.chooseProfile(profile => new ProfilePreviewModal(this.app, this, profile).open())
+        });
+
+        this.addCommand({
+            id: 'switch-module-profile',
+            name: 'Switch module profile',
+            callback: () => this.chooseProfile(async (profile) => {
+                await this.profiles.applyProfile(profile);
+                new Notice(`Switched to profile ${profile.name}`);
+            })
+        });
+    }
+
+    async chooseProfile(onChoose) {
+        const profiles = await this.profiles.listProfiles();
+        if (profiles.length === 0) {
+            new Notice(`No module profiles found in ${this.profiles.getFolder()}`);
+            return;
+        }
+        new ProfileSuggestModal(this.app, profiles, onChoose).open();
+    }
+
+    injectStyles() {
+        this.styles.add(this.manifest.id, `
+/* Custom Modules Plugin - Settings Panel Styles */
+
+/* Module Inspector */
+.custom-modules-inspector h4 {
+    margin: 16px 0 8px;
+}
+
+.custom-modules-inspector-resources ul {
+    margin: 4px 0 8px;
+    font-size: var(--font-ui-small);
+}
+
+.custom-modules-inspector-settings {
+    font-size: var(--font-ui-smaller);
+    white-space: pre-wrap;
+    user-select: text;
+}
+
+.custom-modules-inspector-logs {
+    max-height: 50vh;
+    overflow-y: auto;
+    font-family: var(--font-monospace);
+    font-size: var(--font-ui-smaller);
+    user-select: text;
+}
+
+.custom-modules-log-entry {
+    padding: 2px 0;
+    border-bottom: 1px solid var(--background-modifier-border);
+    white-space: pre-wrap;
+    word-break: break-word;
+}
+
+.custom-modules-log-entry span + span {
+    margin-left: 6px;
+}
+
+.custom-modules-log-time,
+.custom-modules-log-module {
+    color: var(--text-muted);
+}
+
+.custom-modules-log-debug .custom-modules-log-message {
+    color: var(--text-faint);
+}
+
+.custom-modules-log-warn .custom-modules-log-message {
+    color: var(--text-warning);
+}
+
+.custom-modules-log-error .custom-modules-log-message {
+    color: var(--text-error);
+}
+
+/* Module Inspector cost tables */
+.custom-modules-cost-table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: var(--font-ui-smaller);
+}
+
+.custom-modules-cost-table th,
+.custom-modules-cost-table td {
+    padding: 2px 4px;
+    text-align: right;
+    border-bottom: 1px solid var(--background-modifier-border);
+}
+
+.custom-modules-cost-table th:first-child,
+.custom-modules-cost-table td:first-child {
+    text-align: left;
+    word-break: break-word;
+}
+
+.custom-modules-cost-table tr.mod-slow td {
+    color: var(--text-warning);
+}
+
+.custom-modules-cost-table tr.is-clickable {
+    cursor: pointer;
+}
+
+.custom-modules-cost-table tr.is-clickable:hover {
+    background: var(--background-modifier-hover);
+}
+
+.custom-modules-slow-warning {
+    color: var(--text-warning);
+    font-size: var(--font-ui-small);
+}
+
+/* Module CSS overrides */
+.custom-module-css-overrides {
+    flex-wrap: wrap;
+}
+
+.custom-module-css-overrides .setting-item-control {
+    flex: 1 1 100%;
+    margin-top: 8px;
+}
+
+.custom-module-css-overrides textarea {
+    width: 100%;
+    font-family: var(--font-monospace);
+    font-size: var(--font-ui-small);
+}
+
+/* Tab header buttons */
+.custom-modules-view-action-icon {
+    display: inline-flex;
+    vertical-align: middle;
+    margin-right: 8px;
+    color: var(--text-muted);
+}
+
+.custom-modules-view-action-icon svg {
+    width: var(--icon-s);
+    height: var(--icon-s);
+}
 
-        // Enable modules based on settings
-        this.app.workspace.onLayoutReady(async () => {
-            await this.initializeModules();
-        });
+/* Module list toolbar */
+.custom-modules-toolbar .setting-item-info {
+    display: none;
+}
 
-        // Export PluginModule class for user modules
-        window.CustomModulesAPI = {
-            PluginModule: PluginModule,
-            registry: this.registry
-        };
-    }
+.custom-modules-toolbar .setting-item-control {
+    flex-wrap: wrap;
+    justify-content: flex-start;
+}
 
-    injectStyles() {
-        const styleId = 'custom-modules-settings-styles';
-        if (document.getElementById(styleId)) return;
+.custom-modules-toolbar .search-input-container {
+    flex: 1 1 200px;
+}
 
-        const style = document.createElement('style');
-        style.id = styleId;
-        style.textContent = `
-/* Custom Modules Plugin - Settings Panel Styles */
+.custom-modules-bulk-actions {
+    border-top: none;
+    padding-top: 0;
+}
 
 .custom-modules-core-section,
 .custom-modules-user-section {
@@ -537,29 +5027,246 @@ class CustomModulesPlugin extends Plugin {
     border-bottom: none;
 }
 
+/* Schema-rendered module settings */
+.custom-module-setting-error {
+    color: var(--text-error);
+    font-size: 12px;
+    margin-top: 4px;
+}
+
+.custom-module-setting-error:empty {
+    display: none;
+}
+
+/* Commands on module cards */
+.custom-module-commands-heading {
+    margin: 12px 0 4px;
+    font-size: 0.9em;
+    color: var(--text-muted);
+}
+
+.custom-module-hotkey-conflict {
+    margin-top: 4px;
+    font-size: 12px;
+    color: var(--text-warning);
+}
+
+/* Module switcher */
+.custom-modules-switcher-status {
+    display: block;
+    color: var(--text-muted);
+}
+
+.custom-modules-switcher-status.mod-error {
+    color: var(--text-error);
+}
+
+/* Module profiles */
+.custom-modules-profile-changes {
+    max-height: 50vh;
+    overflow-y: auto;
+}
+
+.custom-modules-profile-change {
+    padding: 8px 0;
+    border-bottom: 1px solid var(--background-modifier-border);
+}
+
+.custom-modules-profile-setting {
+    font-family: var(--font-monospace);
+    font-size: 12px;
+    color: var(--text-muted);
+    word-break: break-all;
+}
+
+.custom-modules-profile-note,
+.custom-modules-profile-path {
+    color: var(--text-faint);
+}
+
+/* Manifest info on module cards */
+.custom-module-version {
+    margin-left: 8px;
+    font-size: 11px;
+    font-weight: 400;
+    color: var(--text-faint);
+}
+
+.custom-module-author {
+    margin-top: 4px;
+    font-size: 12px;
+}
+
+.custom-module-tags {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px;
+    margin-top: 6px;
+}
+
+.custom-module-tag {
+    font-size: 11px;
+    padding: 1px 6px;
+    border-radius: 10px;
+    background: var(--tag-background);
+    color: var(--tag-color);
+}
+
+/* Source folder on module cards */
+.custom-module-source {
+    margin-top: 4px;
+    font-size: 12px;
+    color: var(--text-faint);
+}
+
+/* Dependency info on module cards */
+.custom-module-dependencies {
+    margin-top: 6px;
+    font-size: 12px;
+}
+
+.custom-module-dependency-met {
+    color: var(--text-success);
+}
+
+.custom-module-dependency-unmet {
+    color: var(--text-error);
+}
+
+/* Error status on module cards */
+.custom-module-card.module-error {
+    border-left: 3px solid var(--text-error);
+}
+
+.custom-module-error-status {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 8px 16px;
+    background: rgba(var(--color-red-rgb), 0.08);
+    border-bottom: 1px solid var(--background-modifier-border);
+    font-size: 12px;
+}
+
+.custom-module-status-badge {
+    font-size: 11px;
+    font-weight: 600;
+    padding: 1px 6px;
+    border-radius: 4px;
+}
+
+.custom-module-status-badge.mod-error {
+    background: var(--text-error);
+    color: var(--text-on-accent);
+}
+
+.custom-module-status-badge.mod-warning {
+    background: var(--text-warning);
+    color: var(--text-on-accent);
+}
+
+.custom-module-status-badge.mod-muted {
+    background: var(--background-modifier-border);
+    color: var(--text-muted);
+}
+
+.custom-module-status-badge.mod-local {
+    background: var(--interactive-accent);
+    color: var(--text-on-accent);
+}
+
+.setting-item-name .custom-module-status-badge {
+    margin-left: 6px;
+}
+
+.custom-module-platforms,
+.custom-module-device,
+.custom-module-activation {
+    margin-top: 4px;
+    font-size: var(--font-ui-smaller);
+    color: var(--text-muted);
+}
+
+.custom-module-card.is-unsupported .custom-module-header {
+    opacity: 0.6;
+}
+
+.custom-module-performance {
+    margin-top: 4px;
+    font-size: var(--font-ui-smaller);
+    color: var(--text-muted);
+}
+
+.custom-module-error-summary {
+    flex-grow: 1;
+    color: var(--text-muted);
+}
+
+.custom-module-error-message {
+    color: var(--text-error);
+}
+
+.custom-module-error-stack {
+    max-height: 300px;
+    overflow: auto;
+    font-size: 11px;
+    user-select: text;
+}
+
+/* Capability badges on module cards */
+.custom-module-capabilities {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px;
+    margin-top: 6px;
+}
+
+.custom-module-capability {
+    font-size: 11px;
+    padding: 1px 6px;
+    border-radius: 4px;
+    background: var(--background-modifier-border);
+    color: var(--text-muted);
+}
+
+.custom-module-capability-unrestricted {
+    background: rgba(var(--color-orange-rgb), 0.2);
+    color: var(--text-warning);
+}
+
 /* Improved toggle switch visibility */
 .custom-module-header .checkbox-container {
     flex-shrink: 0;
 }
-        `;
-        document.head.appendChild(style);
+        `, 'settings');
     }
 
     async onunload() {
         // Disable all modules
         await this.registry.disableAll();
+        await this.styles.flushOverrides();
+        this.styles.removeAll();
 
         // Clean up API
         delete window.CustomModulesAPI;
     }
 
-    getUserModulesPath() {
-        if (this.settings.userModulesFolder) {
-            // Use the user-defined path if it's set
-            return this.settings.userModulesFolder;
+    // The user modules folders in priority order
+    getUserModulesPaths() {
+        const folders = [...new Set(this.settings.userModulesFolders)];
+        if (folders.length > 0) {
+            // Use the user-defined folders if any are set
+            return folders;
         }
         // Fallback to the default location inside the plugin folder
-        return path.join(this.manifest.dir, 'user-modules');
+        return [paths.join(this.manifest.dir, 'user-modules')];
+    }
+
+    // The user modules folder a path lies in, or undefined; the innermost folder when they are nested
+    getModuleFolderOf(file) {
+        return this.getUserModulesPaths()
+            .filter(folder => file.startsWith(folder + '/'))
+            .sort((a, b) => b.length - a.length)[0];
     }
 
     /**
@@ -567,38 +5274,36 @@ class CustomModulesPlugin extends Plugin {
      * to simulate a CommonJS environment (provides module, exports).
      * @param {string} code The JavaScript code to execute.
      * @param {string} filepath The path of the file for error reporting.
+     * @param {object} context Names made available to the code, such as obsidian and PluginModule.
+     * @param {object} module The module object to fill in, when a loader has already cached it.
      * @returns {any} The value of module.exports from the executed code.
      */
-    executeModuleCode(code, filepath, context = {}) {
+    executeModuleCode(code, filepath, context = {}, module = { exports: {} }) {
         try {
-            const module = { exports: {} };
-            const exports = module.exports;
-
-            const contextKeys = Object.keys(context);
-            const contextValues = Object.values(context);
-
-            const fn = new Function('module', 'exports', ...contextKeys, code);
-            fn.call(module.exports, module, exports, ...contextValues);
+            ModuleLoader.run(code, context, module);
             return module.exports;
         } catch (error) {
             console.error(`Error executing code from ${filepath}:`, error);
-            new Notice(`Error in module: ${path.basename(filepath)}`);
+            new Notice(`Error in module: ${paths.basename(filepath)}`);
             return null;
         }
     }
 
     async loadCoreModules() {
         try {
-            const coreModulesPath = path.join(this.manifest.dir, 'core-modules.js');
+            const coreModulesPath = paths.join(this.manifest.dir, 'core-modules.js');
             if (await this.app.vault.adapter.exists(coreModulesPath)) {
                 const coreModulesContent = await this.app.vault.adapter.read(coreModulesPath);
                 // Add PluginModule to the context
-                const coreModules = this.executeModuleCode(coreModulesContent, coreModulesPath, { obsidian: this.obsidian, PluginModule });
+                const coreModules = this.executeModuleCode(coreModulesContent, coreModulesPath, { obsidian: this.obsidian, PluginModule, paths });
 
                 if (coreModules && coreModules.modules && Array.isArray(coreModules.modules)) {
                     for (const ModuleClass of coreModules.modules) {
-                        this.registry.register(ModuleClass);
+                        if (this.checkManifest(ModuleClass, coreModulesPath)) {
+                            this.registry.register(ModuleClass);
+                        }
                     }
+                    await this.registry.saveChangedSettings();
                 }
             }
         } catch (error) {
@@ -610,124 +5315,476 @@ class CustomModulesPlugin extends Plugin {
         // Clear existing user modules
         const userModuleIds = Array.from(this.registry.modules.keys()).filter(id => !id.startsWith('core-'));
         for (const id of userModuleIds) {
-            this.registry.unregister(id);
+            await this.registry.unregister(id);
+        }
+        this.userModuleFiles.clear();
+        this.unsupportedModuleFiles.clear();
+
+        for (const folder of this.getUserModulesPaths()) {
+            try {
+                if (!await this.app.vault.adapter.exists(folder)) {
+                    console.warn(`Custom Modules: user modules folder ${folder} does not exist`);
+                    continue;
+                }
+
+                const entries = await this.findModuleEntries(folder);
+                for (const file of await this.dropRequiredEntries(entries)) {
+                    await this.loadUserModuleFile(file);
+                }
+            } catch (error) {
+                console.error(`Failed to load user modules from ${folder}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Finds the module files in a user modules folder and its subfolders.
+     * A subfolder containing index.js is one module split over several files, so only its index.js is loaded.
+     * Hidden files and folders and node_modules folders are skipped.
+     * @param {string} folder The vault-relative folder to search.
+     * @returns {string[]} The vault-relative paths of the module entry files.
+     */
+    async findModuleEntries(folder, isModuleRoot = true) {
+        const { files, folders } = await this.app.vault.adapter.list(folder);
+        const isVisible = item => !paths.basename(item).startsWith('.');
+
+        if (!isModuleRoot) {
+            const index = files.find(file => paths.basename(file) === 'index.js');
+            if (index) return [index];
+        }
+
+        const entries = files.filter(file => file.endsWith('.js') && isVisible(file));
+        for (const subfolder of folders) {
+            if (isVisible(subfolder) && paths.basename(subfolder) !== 'node_modules') {
+                entries.push(...await this.findModuleEntries(subfolder, false));
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Leaves out the files other entries require, such as a helper next to a single-file module, so they
+     * are only run as part of the module that requires them. Two files that require each other are both kept.
+     * @param {string[]} entries The entry files found in a user modules folder.
+     * @returns {Promise<string[]>}
+     */
+    async dropRequiredEntries(entries) {
+        const requiredBy = new Map();
+        for (const entry of entries) {
+            const loader = new ModuleLoader(this.app.vault.adapter, entry, this.getModuleFolderOf(entry) || paths.dirname(entry));
+            try {
+                await loader.load();
+            } catch (error) {
+                continue; // Reported when the entry itself is loaded
+            }
+            requiredBy.set(entry, new Set([...loader.sources.keys()].filter(file => file !== entry)));
         }
 
+        const requires = (entry, file) => requiredBy.has(entry) && requiredBy.get(entry).has(file);
+        return entries.filter(file => !entries.some(entry => requires(entry, file) && !requires(file, entry)));
+    }
+
+    /**
+     * Reads, executes and registers a single user module file.
+     * @param {string} file The vault-relative path of the module file.
+     * @param {object} options Registration options passed on to the registry.
+     * @returns {PluginModule|null} The registered module, or null if loading failed.
+     */
+    async loadUserModuleFile(file, options = {}) {
         try {
-            const adapter = this.app.vault.adapter;
-            const userModulesPath = this.getUserModulesPath();
+            this.unsupportedModuleFiles.delete(file);
+            const loader = new ModuleLoader(this.app.vault.adapter, file, this.getModuleFolderOf(file) || paths.dirname(file));
+            await loader.load();
+            const moduleContent = loader.sources.get(file);
 
-            if (!await adapter.exists(userModulesPath)) {
-                return; // Folder doesn't exist, nothing to load
+            // Code for other platforms may fail as soon as it runs, e.g. require('fs') on mobile, so it isn't run at all
+            const platformProblem = getPlatformProblem(parseHeaderTag(moduleContent, 'platforms'));
+            if (platformProblem) {
+                this.unsupportedModuleFiles.set(file, platformProblem);
+                return null;
             }
 
-            const files = await adapter.list(userModulesPath);
-            const jsFiles = files.files.filter(f => f.endsWith('.js'));
+            const sandbox = new ModuleSandbox(this, file);
+            const headerCapabilities = ModuleSandbox.parseHeader(moduleContent);
+            if (headerCapabilities) {
+                sandbox.declare(headerCapabilities);
+            } else {
+                // The class's own declaration is only known once its code has run, so until then the setting decides
+                sandbox.unrestricted = !this.settings.restrictUndeclaredModules;
+            }
 
-            for (const file of jsFiles) {
-                try {
-                    const moduleContent = await adapter.read(file);
-                    const userModule = this.executeModuleCode(moduleContent, file, { obsidian: this.obsidian, PluginModule });
-
-                    if (!userModule) continue; // Skip if execution failed
-
-                    // Register the module class
-                    if (userModule.default) {
-                        this.registry.register(userModule.default);
-                    } else if (typeof userModule === 'function') {
-                        this.registry.register(userModule);
-                    } else if (userModule.module) {
-                        this.registry.register(userModule.module);
-                    }
-                } catch (error) {
-                    console.error(`Failed to load user module ${file}:`, error);
-                    new Notice(`Failed to load module: ${path.basename(file)}`);
-                }
+            // Files the module requires run with the same globals as the module itself
+            loader.context = {
+                ...sandbox.globals,
+                obsidian: sandbox.obsidian,
+                PluginModule,
+                paths
+            };
+            const userModule = this.executeModuleCode(moduleContent, file, {
+                ...loader.context,
+                require: loader.createRequire(file)
+            }, loader.createModule(file));
+
+            if (!userModule) return null; // Skip if execution failed
+
+            // Register the module class
+            let ModuleClass = null;
+            if (userModule.default) {
+                ModuleClass = userModule.default;
+            } else if (typeof userModule === 'function') {
+                ModuleClass = userModule;
+            } else if (userModule.module) {
+                ModuleClass = userModule.module;
+            }
+            // Helper files in subfolders export other things; they are not modules
+            if (!ModuleClass || !(ModuleClass.prototype instanceof PluginModule)) return null;
+            if (!this.checkManifest(ModuleClass, file)) return null;
+
+            const declaredCapabilities = ModuleClass.capabilities || (ModuleClass.manifest && ModuleClass.manifest.capabilities);
+            if (!sandbox.declared && Array.isArray(declaredCapabilities)) {
+                sandbox.unrestricted = false;
+                sandbox.declare(declaredCapabilities);
             }
+
+            const module = this.registry.register(ModuleClass, { ...options, sandbox, source: file });
+            if (!module) return null;
+
+            module.sourceFolder = this.getModuleFolderOf(file);
+            module.sourceFiles = [...loader.sources.keys()];
+            this.userModuleFiles.set(file, module.id);
+            await this.registry.saveChangedSettings();
+            return module;
         } catch (error) {
-            console.error('Failed to load user modules:', error);
+            console.error(`Failed to load user module ${file}:`, error);
+            new Notice(`Failed to load module: ${paths.basename(file)}`);
+            return null;
         }
     }
 
-    async createSampleModule() {
-        const sampleCode = `// Example Custom Module
-// This file demonstrates how to create a custom module for the Custom Modules Plugin
-const { Notice, Setting } = obsidian;
+    // Refuses module classes whose manifest is invalid or asks for newer versions than are installed
+    checkManifest(ModuleClass, filepath) {
+        const problems = this.registry.getManifestProblems(ModuleClass);
+        if (problems.length === 0) return true;
 
-class ExampleModule extends PluginModule {
-    constructor(plugin) {
-        super(plugin);
-        this.id = 'example-module';
-        this.name = 'Example Module';
-        this.description = 'A sample module showing how to create custom functionality';
+        const label = ModuleClass.name || paths.basename(filepath);
+        console.error(`Custom Modules: not loading ${label} from ${filepath}: ${problems.join('; ')}`);
+        new Notice(`Cannot load ${label}: ${problems.join('; ')}`);
+        return false;
     }
 
-    async onEnable() {
-        // This runs when the module is enabled
-        console.log('Example Module enabled!');
+    // Reloads every user module and re-enables the ones that were switched on
+    async reloadUserModules() {
+        await this.loadUserModules();
+        this.archiveOrphanedSettings();
+        await this.saveSettings();
+        await this.initializeModules();
+    }
 
-        // Example: Add a command
-        this.plugin.addCommand({
-            id: 'example-command',
-            name: 'Example Module: Show Notice',
-            callback: () => {
-                new Notice('Hello from Example Module!');
-            }
+    watchUserModules() {
+        // The raw event also fires for files inside the config folder, where the default user modules folder lives
+        this.registerEvent(
+            this.app.vault.on('raw', (file) => {
+                if (!this.settings.hotReload || !this.isUserModuleFile(file)) return;
+
+                const changedAt = Date.now();
+                clearTimeout(this.hotReloadTimers.get(file));
+                this.hotReloadTimers.set(file, setTimeout(() => {
+                    this.hotReloadTimers.delete(file);
+                    // Queue reloads so two files changing together never interleave
+                    this.hotReloadQueue = this.hotReloadQueue.then(() => this.reloadChangedFile(file, changedAt));
+                }, HOT_RELOAD_DELAY));
+            })
+        );
+
+        this.register(() => {
+            this.hotReloadTimers.forEach(timer => clearTimeout(timer));
+            this.hotReloadTimers.clear();
         });
     }
 
-    async onDisable() {
-        // This runs when the module is disabled
-        console.log('Example Module disabled!');
+    // Whether a path lies in a user modules folder outside hidden and node_modules folders
+    isUserModuleFile(file) {
+        const folder = this.getModuleFolderOf(file);
+        if (!folder) return false;
+        return !file.slice(folder.length + 1).split('/').some(part => part.startsWith('.') || part === 'node_modules');
+    }
+
+    /**
+     * Works out which module file a changed path belongs to: the module that requires it, the index.js
+     * of the outermost multi-file module folder containing it, or else the path itself if it is a .js file.
+     * @returns {string|null} The module entry file, or null if the path belongs to no module.
+     */
+    async resolveModuleEntry(file) {
+        if (!this.isUserModuleFile(file)) return null;
+
+        // A file another module requires belongs to that module
+        for (const [entry, moduleId] of this.userModuleFiles) {
+            const module = this.registry.getModule(moduleId);
+            if (module && module.sourceFiles.includes(file)) return entry;
+        }
+
+        const folder = this.getModuleFolderOf(file);
+        const parts = file.slice(folder.length + 1).split('/');
+        for (let depth = 1; depth < parts.length; depth++) {
+            const entry = [folder, ...parts.slice(0, depth), 'index.js'].join('/');
+            if (this.userModuleFiles.has(entry) || await this.app.vault.adapter.exists(entry)) {
+                return entry;
+            }
+        }
+        return file.endsWith('.js') ? file : null;
+    }
+
+    // Reloads the module a changed file belongs to, unless it was already reloaded since the change
+    async reloadChangedFile(file, changedAt) {
+        const entry = await this.resolveModuleEntry(file);
+        if (!entry || (this.hotReloadTimes.get(entry) || 0) >= changedAt) return;
 
-        // Clean up any resources, event listeners, etc.
+        this.hotReloadTimes.set(entry, Date.now());
+        await this.reloadUserModuleFile(entry);
     }
 
-    // Optional: Add custom settings for this module
-    addSettings(containerEl) {
-        const { Setting } = require('obsidian');
+    /**
+     * Swaps a single user module for a freshly executed copy of its file.
+     * The enabled state and module settings are keyed by module id, so they carry over.
+     * @param {string} file The vault-relative path of the changed module file.
+     */
+    async reloadUserModuleFile(file) {
+        try {
+            const previousId = this.userModuleFiles.get(file);
+            const index = previousId ? this.registry.moduleOrder.indexOf(previousId) : -1;
+            // A module that hadn't started yet goes back to waiting for its activation events
+            const wasPending = previousId ? this.activation.isPending(previousId) : false;
 
-        const settings = this.getSettings();
+            // Modules built on the old instance are stopped now and restarted against the new one
+            const dependents = previousId ? this.registry.getEnabledDependents(previousId) : [];
+            const { order: dependentOrder } = this.registry.sortByDependencies(dependents);
+            for (const dependentId of [...dependentOrder].reverse()) {
+                await this.registry.stopModule(this.registry.getModule(dependentId));
+            }
 
-        new Setting(containerEl)
-            .setName('Example Setting')
-            .setDesc('This is an example setting for the module')
-            .addText(text => text
-                .setPlaceholder('Enter value')
-                .setValue(settings.exampleValue || '')
-                .onChange(async (value) => {
-                    await this.saveSettings({ ...settings, exampleValue: value });
-                })
-            );
+            if (previousId) {
+                await this.registry.unregister(previousId);
+                this.userModuleFiles.delete(file);
+            }
+
+            if (!await this.app.vault.adapter.exists(file)) {
+                this.unsupportedModuleFiles.delete(file);
+                this.refreshSettingTab();
+                return; // The file was deleted or renamed away
+            }
+
+            const module = await this.loadUserModuleFile(file, { index });
+            if (!module) return;
+
+            if (wasPending && ActivationManager.isLazy(module) && this.isModuleEnabled(module.id)) {
+                this.activation.defer(module);
+            } else {
+                const enabledIds = [module.id, ...dependents].filter(id => this.isModuleEnabled(id));
+                await this.registry.enableInOrder(enabledIds);
+            }
+
+            this.refreshSettingTab();
+            new Notice(`Reloaded module: ${module.name}`);
+        } catch (error) {
+            console.error(`Failed to reload user module ${file}:`, error);
+            new Notice(`Failed to reload module: ${paths.basename(file)}`);
+        }
     }
-}
 
-// Export the module class
-module.exports = ExampleModule;
-`;
+    refreshSettingTab() {
+        if (this.settingTab && this.settingTab.containerEl.isShown()) {
+            this.settingTab.renderModules();
+        }
+    }
 
-        const userModulesPath = this.getUserModulesPath();
-        const examplePath = path.join(userModulesPath, 'example-module.js');
-        await this.app.vault.adapter.write(examplePath, sampleCode);
+    async createSampleModule() {
+        const [userModulesPath] = this.getUserModulesPaths();
+        const examplePath = paths.join(userModulesPath, 'example-module.js');
+        await this.app.vault.adapter.write(examplePath, buildModuleSource({
+            id: 'example-module',
+            name: 'Example Module',
+            description: 'A sample module showing how to create custom functionality',
+            features: ['commands', 'settings']
+        }));
     }
 
-    async initializeModules() {
-        for (const [moduleId, isEnabled] of Object.entries(this.settings.enabledModules)) {
-            if (isEnabled) {
-                const module = this.registry.getModule(moduleId);
-                if (module) {
-                    await module.enable();
-                }
+    /**
+     * Writes a module generated from the wizard's templates, loads it and opens the file.
+     * @param {string} folder The user modules folder to create it in.
+     * @param {{id: string, name: string, description: string, features: string[]}} options
+     * @returns {Promise<boolean>} Whether the module file was written.
+     */
+    async createModuleFile(folder, options) {
+        const adapter = this.app.vault.adapter;
+        const filepath = paths.join(folder, `${options.id}.js`);
+
+        try {
+            if (!await adapter.exists(folder)) {
+                await adapter.mkdir(folder);
             }
+            await adapter.write(filepath, buildModuleSource(options));
+        } catch (error) {
+            console.error(`Failed to create module ${filepath}:`, error);
+            new Notice(`Failed to create ${filepath}`);
+            return false;
+        }
+
+        // Load it now rather than waiting for hot reload, which then sees it as already loaded
+        const module = await this.loadUserModuleFile(filepath);
+        this.hotReloadTimes.set(filepath, Date.now());
+        if (module) {
+            this.refreshSettingTab();
+            new Notice(`Created ${module.name}. Enable it in the Custom Modules settings.`);
+        }
+
+        // Obsidian doesn't edit .js files, so open it in the system's editor where there is one
+        if (Platform.isDesktopApp && typeof this.app.openWithDefaultApp === 'function') {
+            this.app.openWithDefaultApp(filepath);
+        } else {
+            new Notice(`Module file: ${filepath}`);
         }
+        return true;
+    }
+
+    // Starts the enabled modules, except those that wait for their activation events
+    async initializeModules() {
+        const moduleIds = [...new Set([...Object.keys(this.settings.enabledModules), ...Object.keys(this.device.enabledModules)])]
+            .filter(id => this.isModuleEnabled(id));
+        const deferred = this.activation.getDeferrable(moduleIds);
+        deferred.forEach(id => this.activation.defer(this.registry.getModule(id)));
+
+        await this.registry.enableInOrder(moduleIds.filter(id => !deferred.has(id)));
+        this.activation.checkOpen();
     }
 
     async loadSettings() {
-        this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+        const data = await this.loadData() || {};
+        const savedVersion = data.settingsVersion || 0;
+
+        if (savedVersion > SETTINGS_VERSION) {
+            console.warn(`Custom Modules: data.json was written by a newer version of the plugin (settings version ${savedVersion})`);
+        }
+
+        for (let version = savedVersion + 1; version <= SETTINGS_VERSION; version++) {
+            SETTINGS_MIGRATIONS[version](data);
+        }
+
+        this.settings = mergeSettings(DEFAULT_SETTINGS, data);
+        this.settings.settingsVersion = Math.max(savedVersion, SETTINGS_VERSION);
+    }
+
+    /**
+     * Moves the settings of modules that are no longer installed into the archive, so they come back
+     * if the module does, and deletes archived settings older than ARCHIVE_RETENTION_DAYS.
+     */
+    archiveOrphanedSettings() {
+        const { enabledModules, moduleSettings, moduleSettingsVersions, archivedModuleSettings } = this.settings;
+        const orphanIds = new Set([...Object.keys(enabledModules), ...Object.keys(moduleSettings), ...Object.keys(moduleSettingsVersions)]);
+        this.registry.modules.forEach((module, id) => orphanIds.delete(id));
+        // Files skipped on this platform register no module, so their settings can't be told apart from orphans.
+        // Archiving them here would take them out of the synced data.json the devices that run them read.
+        if (this.unsupportedModuleFiles.size > 0) orphanIds.clear();
+
+        for (const id of orphanIds) {
+            archivedModuleSettings[id] = {
+                settings: moduleSettings[id],
+                settingsVersion: moduleSettingsVersions[id],
+                enabled: !!enabledModules[id],
+                archivedAt: Date.now()
+            };
+            delete enabledModules[id];
+            delete moduleSettings[id];
+            delete moduleSettingsVersions[id];
+        }
+
+        const cutoff = Date.now() - ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        for (const [id, archived] of Object.entries(archivedModuleSettings)) {
+            if (archived.archivedAt < cutoff) delete archivedModuleSettings[id];
+        }
     }
 
     async saveSettings() {
         await this.saveData(this.settings);
+        await this.device.save();
+    }
+
+    // Whether a module is enabled on this device: its local override if it has one, otherwise the synced state
+    isModuleEnabled(moduleId) {
+        if (this.device.hasEnabled(moduleId)) return !!this.device.enabledModules[moduleId];
+        return !!this.settings.enabledModules[moduleId];
+    }
+
+    // Records the enabled state where it is kept, on this device or in data.json; the caller saves
+    setModuleEnabled(moduleId, enabled) {
+        if (this.device.hasEnabled(moduleId)) {
+            this.device.setEnabled(moduleId, enabled);
+        } else {
+            this.settings.enabledModules[moduleId] = enabled;
+        }
+    }
+
+    // A module's saved settings, with the values kept on this device laid over the synced ones
+    getModuleSettings(moduleId) {
+        const synced = this.settings.moduleSettings[moduleId];
+        const local = this.device.getSettings(moduleId);
+        if (Object.keys(local).length === 0) return synced;
+        return { ...synced, ...local };
+    }
+
+    // Records a module's settings, sending the keys kept on this device to the device file; the caller saves
+    setModuleSettings(moduleId, settings) {
+        const localKeys = this.device.getLocalKeys(moduleId);
+        if (localKeys.length === 0) {
+            this.settings.moduleSettings[moduleId] = settings;
+            return;
+        }
+
+        const previous = this.settings.moduleSettings[moduleId] || {};
+        const synced = { ...settings };
+        for (const key of localKeys) {
+            // A key the module dropped stops being local too
+            this.device.setSetting(moduleId, key, settings[key]);
+            delete synced[key];
+            if (key in previous) synced[key] = previous[key];
+        }
+        this.settings.moduleSettings[moduleId] = synced;
+    }
+
+    /**
+     * Keeps a module's enabled state on this device, or goes back to the synced state and starts or
+     * stops the module to match it.
+     */
+    async setEnabledLocal(moduleId, local) {
+        if (local) {
+            this.device.setEnabled(moduleId, this.isModuleEnabled(moduleId));
+            await this.saveSettings();
+            return;
+        }
+
+        this.device.setEnabled(moduleId, undefined);
+        await this.saveSettings();
+
+        const module = this.registry.getModule(moduleId);
+        const isOn = module && (module.enabled || this.activation.isPending(moduleId));
+        if (!module || isOn === this.isModuleEnabled(moduleId)) return;
+        if (isOn) {
+            const { order } = this.registry.sortByDependencies(this.registry.getEnabledDependents(moduleId));
+            for (const dependentId of order.reverse()) {
+                await this.registry.stopModule(this.registry.getModule(dependentId));
+            }
+            await this.registry.stopModule(module);
+        } else {
+            await this.registry.enableInOrder([moduleId]);
+        }
+    }
+
+    // Keeps one of a module's settings on this device, or goes back to the synced value
+    async setSettingLocal(moduleId, key, local) {
+        const module = this.registry.getModule(moduleId);
+        const value = local ? module.getSettings()[key] : undefined;
+        // An undefined value would remove the override instead of keeping one
+        if (local && value === undefined) return;
+        await module.changeSettings(() => this.device.setSetting(moduleId, key, value));
     }
 }
 
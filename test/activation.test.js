@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('../harness');
+
+const lazy = `class LazyModule extends PluginModule {
+    static manifest = { activationEvents: [{ onRibbon: 'Open Lazy', icon: 'star' }] };
+    constructor(plugin) {
+        super(plugin);
+        this.id = 'lazy';
+        this.name = 'Lazy';
+        this.clicks = 0;
+    }
+    async onEnable() {
+        this.addRibbonIcon('star', 'Open Lazy', () => this.clicks++);
+    }
+}
+module.exports = LazyModule;`;
+
+const ribbonIcons = harness => harness.app.ribbonEl.children.filter(el => el.getAttribute('aria-label') === 'Open Lazy');
+
+test('a ribbon icon stands in for a waiting module and runs its own once started', async () => {
+    const harness = await createHarness({ modules: { 'lazy.js': lazy }, data: { enabledModules: { lazy: true } } });
+    assert.strictEqual(harness.plugin.activation.isPending('lazy'), true);
+    assert.strictEqual(ribbonIcons(harness).length, 1);
+
+    ribbonIcons(harness)[0].click();
+    await harness.plugin.activation.starting.get('lazy');
+    await new Promise(resolve => setImmediate(resolve));
+
+    const module = harness.getModule('lazy');
+    assert.strictEqual(harness.plugin.activation.isPending('lazy'), false);
+    assert.strictEqual(module.clicks, 1);
+    assert.strictEqual(ribbonIcons(harness).length, 1);
+    await harness.unload();
+});
+
+test('applying a profile that lists a waiting module as enabled leaves it waiting', async () => {
+    const harness = await createHarness({ modules: { 'lazy.js': lazy }, data: { enabledModules: { lazy: true } } });
+    await harness.plugin.profiles.applyProfile({ name: 'Writing', modules: { lazy: { enabled: true } } });
+
+    assert.strictEqual(harness.plugin.activation.isPending('lazy'), true);
+    assert.strictEqual(harness.getModule('lazy').enabled, false);
+    await harness.unload();
+});
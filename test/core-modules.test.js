@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('../harness');
+
+test('every core module enables and disables with a note open', async () => {
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data.json'), 'utf8'));
+    const harness = await createHarness({ data });
+    await harness.openNote('Note.md', 'Some "text"\n\nMore text');
+
+    for (const module of harness.plugin.registry.getAllModules()) {
+        await harness.enable(module.id);
+        await harness.disable(module.id);
+        assert.strictEqual(module.lastError, null, `${module.id} failed in ${module.lastError && module.lastError.phase}`);
+    }
+    await harness.unload();
+});
+
+test('dynamic padding pads the open editor and removes it again', async () => {
+    const harness = await createHarness();
+    const view = await harness.openNote('Note.md', 'Text');
+    view.editor.cm.scrollDOM.clientHeight = 400;
+
+    await harness.enable('core-dynamic-padding');
+    assert.strictEqual(view.editor.cm.contentDOM.style.paddingBottom, '200px');
+
+    await harness.disable('core-dynamic-padding');
+    assert.strictEqual(view.editor.cm.contentDOM.style.paddingBottom, '');
+    await harness.unload();
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('../harness');
+
+const keys = `class KeysModule extends PluginModule {
+    static manifest = {
+        settings: [
+            { key: 'apiKey', type: 'text', name: 'API key' },
+            { key: 'model', type: 'text', name: 'Model', default: 'llama3' }
+        ]
+    };
+    constructor(plugin) {
+        super(plugin);
+        this.id = 'keys';
+        this.name = 'Keys';
+    }
+}
+module.exports = KeysModule;`;
+
+test('only settings with a value can be kept on this device', async () => {
+    const harness = await createHarness({ modules: { 'keys.js': keys }, data: { enabledModules: { keys: true } } });
+    const tab = harness.plugin.settingTab;
+    tab.display();
+    const card = tab.containerEl.querySelectorAll('.custom-module-card').find(el => el.textContent.includes('Keys'));
+    card.querySelector('.custom-module-header button').click();
+
+    const modal = harness.app.openModals[0];
+    const [, apiKeyToggle, modelToggle] = modal.contentEl.querySelectorAll('input');
+    assert.strictEqual(apiKeyToggle.disabled, true);
+    assert.strictEqual(modelToggle.disabled, false);
+
+    await harness.plugin.setSettingLocal('keys', 'model', true);
+    assert.deepStrictEqual(harness.plugin.device.getLocalKeys('keys'), ['model']);
+    await harness.unload();
+});
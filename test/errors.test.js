@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('../harness');
+
+const crashing = `class CrashingModule extends PluginModule {
+    constructor(plugin) {
+        super(plugin);
+        this.id = 'crashing';
+        this.name = 'Crashing';
+    }
+    async onEnable() {
+        this.addCommand({ id: 'crash', name: 'Crash', callback: () => { throw new Error('boom'); } });
+    }
+}
+module.exports = CrashingModule;`;
+
+test('a module that keeps failing is disabled and the change is saved', async () => {
+    const harness = await createHarness({
+        modules: { 'crashing.js': crashing },
+        data: { enabledModules: { crashing: true }, autoDisableCrashingModules: true, crashThreshold: 2 }
+    });
+    const module = harness.getModule('crashing');
+    harness.runCommand('crash');
+    harness.runCommand('crash');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.strictEqual(module.enabled, false);
+    assert.strictEqual(module.errorCount, 2);
+    assert.notStrictEqual(harness.app.pluginData.enabledModules.crashing, true);
+    await harness.unload();
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('../harness');
+
+const base = `class BaseModule extends PluginModule {
+    constructor(plugin) {
+        super(plugin);
+        this.id = 'base';
+        this.name = 'Base';
+    }
+}
+module.exports = BaseModule;`;
+
+const format = `module.exports = { shout: text => text.toUpperCase() };`;
+
+const greeter = `const BaseModule = require('./greeter-base');
+const { shout } = require('./utils/format');
+class GreeterModule extends BaseModule {
+    constructor(plugin) {
+        super(plugin);
+        this.id = 'greeter';
+        this.name = 'Greeter';
+        this.greeting = shout('hello');
+    }
+}
+module.exports = GreeterModule;`;
+
+test('files other modules require are not loaded as modules', async () => {
+    const harness = await createHarness({
+        modules: { 'greeter.js': greeter, 'greeter-base.js': base, 'utils/format.js': format }
+    });
+    assert.strictEqual(harness.getModule('greeter').greeting, 'HELLO');
+    assert.strictEqual(harness.plugin.registry.getModule('base'), undefined);
+    assert.deepStrictEqual([...harness.plugin.userModuleFiles.keys()].filter(file => /greeter|utils/.test(file)),
+        ['.obsidian/plugins/custom-modules/user-modules/greeter.js']);
+    await harness.unload();
+});
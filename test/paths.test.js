@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('../harness');
+
+const pathsModule = `class PathsModule extends PluginModule {
+    constructor(plugin) {
+        super(plugin);
+        this.id = 'paths';
+        this.name = 'Paths';
+        this.paths = paths;
+    }
+}
+module.exports = PathsModule;`;
+
+test('path helpers read backslashes as separators', async () => {
+    const harness = await createHarness({ modules: { 'paths.js': pathsModule } });
+    const { paths } = harness.getModule('paths');
+
+    assert.strictEqual(paths.dirname('Notes\\Daily\\2024-01-01.md'), 'Notes/Daily');
+    assert.strictEqual(paths.basename('Notes\\Daily\\2024-01-01.md', '.md'), '2024-01-01');
+    assert.strictEqual(paths.extname('Notes\\archive.v2\\README'), '');
+    assert.strictEqual(paths.extname('Notes\\Daily\\2024-01-01.md'), '.md');
+    assert.strictEqual(paths.join('Notes\\Daily', '..', 'Inbox.md'), 'Notes/Inbox.md');
+    await harness.unload();
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, obsidian } = require('../harness');
+
+const desktopOnly = `// @platforms desktop
+const fs = require('fs');
+class FilesModule extends PluginModule {
+    constructor(plugin) {
+        super(plugin);
+        this.id = 'files';
+        this.name = 'Files';
+    }
+}
+module.exports = FilesModule;`;
+
+test('settings of a module skipped on mobile stay in data.json', async (t) => {
+    obsidian.Platform.isDesktopApp = false;
+    t.after(() => obsidian.Platform.isDesktopApp = true);
+
+    const harness = await createHarness({
+        modules: { 'files.js': desktopOnly },
+        data: { enabledModules: { files: true }, moduleSettings: { files: { folder: 'Inbox' } } }
+    });
+    const { settings } = harness.plugin;
+
+    assert.strictEqual(harness.plugin.registry.getModule('files'), undefined);
+    assert.strictEqual(settings.enabledModules.files, true);
+    assert.deepStrictEqual(settings.moduleSettings.files, { folder: 'Inbox' });
+    assert.deepStrictEqual(settings.archivedModuleSettings, {});
+    await harness.unload();
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('../harness');
+
+test('exporting over an existing profile asks first', async () => {
+    const harness = await createHarness({ files: { 'Module Profiles/Writing.json': '{"modules": {}}' } });
+    harness.runCommand('export-module-profile');
+    const modal = harness.app.openModals[0];
+    modal.profileName = 'Writing';
+
+    await modal.export();
+    assert.strictEqual(await harness.app.vault.adapter.read('Module Profiles/Writing.json'), '{"modules": {}}');
+    assert.strictEqual(modal.exportButton.buttonEl.textContent, 'Overwrite');
+
+    await modal.export();
+    assert.ok(JSON.parse(await harness.app.vault.adapter.read('Module Profiles/Writing.json')).profileVersion);
+    assert.strictEqual(harness.app.openModals.length, 0);
+    await harness.unload();
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('../harness');
+
+const undeclared = `const os = require('os');
+class HostModule extends PluginModule {
+    constructor(plugin) {
+        super(plugin);
+        this.id = 'host';
+        this.name = 'Host';
+        this.host = os.hostname();
+    }
+}
+module.exports = HostModule;`;
+
+const staticallyDeclared = `const os = require('os');
+class DeclaredModule extends PluginModule {
+    static manifest = { capabilities: ['vault:read'] };
+    constructor(plugin) {
+        super(plugin);
+        this.id = 'declared';
+        this.name = 'Declared';
+    }
+    async onEnable() {
+        require('fs');
+    }
+}
+module.exports = DeclaredModule;`;
+
+const escaping = `// @capabilities vault:read
+class EscapingModule extends PluginModule {
+    constructor(plugin) {
+        super(plugin);
+        this.id = 'escaping';
+        this.name = 'Escaping';
+    }
+    reachApp() {
+        return [
+            this.plugin.styles, this.plugin.registry, this.plugin.viewActions, this.plugin.device,
+            this.plugin.settings, this.sandbox.plugin, this.log.module.plugin.styles
+        ].map(reached => reached && (reached.app || reached.plugin));
+    }
+}
+module.exports = EscapingModule;`;
+
+test('undeclared modules may require Node modules at the top level', async () => {
+    const harness = await createHarness({ modules: { 'host.js': undeclared } });
+    assert.strictEqual(typeof harness.getModule('host').host, 'string');
+    await harness.unload();
+});
+
+test('undeclared modules are restricted from the start when the setting is on', async () => {
+    const harness = await createHarness({ modules: { 'host.js': undeclared }, data: { restrictUndeclaredModules: true } });
+    assert.strictEqual(harness.plugin.registry.getModule('host'), undefined);
+    assert.match(harness.notices.join('\n'), /needs the "node" capability/);
+    await harness.unload();
+});
+
+test('a static declaration applies once the module is loaded', async () => {
+    const harness = await createHarness({ modules: { 'declared.js': staticallyDeclared } });
+    await assert.rejects(harness.enable('declared'), /node/);
+    await harness.unload();
+});
+
+test('a restricted module cannot reach the unrestricted app through the plugin', async () => {
+    const harness = await createHarness({ modules: { 'escaping.js': escaping }, data: { enabledModules: { escaping: true } } });
+    const module = harness.getModule('escaping');
+    assert.deepStrictEqual(module.reachApp(), [undefined, undefined, undefined, undefined, undefined, undefined, undefined]);
+    assert.throws(() => module.app.vault.create('escaped.md', ''), /vault:write/);
+    assert.ok(module.enabled);
+    await harness.unload();
+});
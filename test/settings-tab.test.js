@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('../harness');
+
+// Like a browser, the tab can't scroll further than its content, which is only the module list's
+function clampScrolling(tab) {
+    let scrollTop = 0;
+    Object.defineProperty(tab.containerEl, 'scrollTop', {
+        get: () => scrollTop,
+        set: value => scrollTop = tab.modulesEl && tab.modulesEl.children.length > 0 ? value : 0
+    });
+}
+
+test('redrawing the settings tab keeps its scroll position', async () => {
+    const harness = await createHarness();
+    const tab = harness.plugin.settingTab;
+    clampScrolling(tab);
+    tab.display();
+    tab.containerEl.scrollTop = 400;
+
+    tab.display();
+    assert.strictEqual(tab.containerEl.scrollTop, 400);
+    await harness.unload();
+});
+
+test('reloading user modules only redraws the module list', async () => {
+    const harness = await createHarness();
+    const tab = harness.plugin.settingTab;
+    tab.display();
+    tab.containerEl.scrollTop = 400;
+    const reloadButton = tab.containerEl.querySelectorAll('button').find(el => el.textContent === 'Reload');
+    let redrawn = false;
+    tab.display = () => redrawn = true;
+
+    reloadButton.click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.strictEqual(redrawn, false);
+    assert.strictEqual(tab.containerEl.scrollTop, 400);
+    await harness.unload();
+});
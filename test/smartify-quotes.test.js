@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('../harness');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+test('processSmartQuotes curls quotes outside code blocks', async () => {
+    const harness = await createHarness();
+    const module = harness.getModule('core-smartify-quotes');
+
+    assert.strictEqual(module.processSmartQuotes(fixture('smartify-quotes.input.md')), fixture('smartify-quotes.expected.md'));
+    await harness.unload();
+});
+
+test('converting a note rewrites the editor', async () => {
+    const harness = await createHarness({ data: { enabledModules: { 'core-smartify-quotes': true } } });
+    const module = harness.getModule('core-smartify-quotes');
+    const view = await harness.openNote('Quotes.md', fixture('smartify-quotes.input.md'));
+
+    module.convertToSmartQuotes(view);
+    assert.strictEqual(view.editor.getValue(), fixture('smartify-quotes.expected.md'));
+    assert.strictEqual(await harness.vault.adapter.read('Quotes.md'), fixture('smartify-quotes.expected.md'));
+    await harness.unload();
+});
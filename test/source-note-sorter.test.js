@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('../harness');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Sorts the whole fixture note with the module's settings, as the editor menu item does
+async function sortFixture(settings) {
+    const harness = await createHarness({
+        modules: { 'source-note-sorter.js': fs.readFileSync(path.join(__dirname, '..', 'user-modules', 'source-note-sorter.js'), 'utf8') }
+    });
+    const module = await harness.enable('source-note-sorter');
+    await harness.updateSettings('source-note-sorter', settings);
+
+    const { editor } = await harness.openNote('Sources.md', fixture('source-notes.md'));
+    const lastLine = editor.lastLine();
+    editor.setSelection({ line: 0, ch: 0 }, { line: lastLine, ch: editor.getLine(lastLine).length });
+    module.sortSourceNotes(editor);
+
+    const sorted = editor.getValue();
+    await harness.unload();
+    return sorted;
+}
+
+test('sorts by author, then date, keeping other lines in place', async () => {
+    assert.strictEqual(await sortFixture({ sortMode: 'author' }), fixture('source-notes.by-author.md'));
+});
+
+test('sorts by date, then author', async () => {
+    assert.strictEqual(await sortFixture({ sortMode: 'date' }), fixture('source-notes.by-date.md'));
+});
+
+test('nested notes stay under their parent', async () => {
+    const sorted = await sortFixture({ sortMode: 'date', nestedHandling: 'independent' });
+    assert.match(sorted, /Emma \(1815 Dec 23\)\]\]\n {4}- A note on Emma/);
+});
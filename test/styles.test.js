@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('../harness');
+
+const css = '.markdown-preview-view { padding: 0; }';
+
+test('CSS overrides typed just before the settings tab closes are saved', async () => {
+    const harness = await createHarness();
+    harness.plugin.styles.setOverrides('core-white-canvas-mode', css);
+    assert.strictEqual((harness.app.pluginData.moduleCssOverrides || {})['core-white-canvas-mode'], undefined);
+
+    harness.plugin.settingTab.hide();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.strictEqual(harness.app.pluginData.moduleCssOverrides['core-white-canvas-mode'], css);
+    await harness.unload();
+});
+
+test('CSS overrides typed just before the plugin unloads are saved', async () => {
+    const harness = await createHarness();
+    harness.plugin.styles.setOverrides('core-white-canvas-mode', css);
+
+    await harness.unload();
+    assert.strictEqual(harness.app.pluginData.moduleCssOverrides['core-white-canvas-mode'], css);
+});
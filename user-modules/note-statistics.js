@@ -1,9 +1,23 @@
 // user-modules/note-statistics.js
 // Example of a more advanced user module with settings
+// @capabilities editor
 
-const { Notice, MarkdownView, Setting } = obsidian;
+const { Notice, MarkdownView } = obsidian;
 
 class NoteStatisticsModule extends PluginModule {
+    static manifest = {
+        version: '1.1.0',
+        author: 'David Golding',
+        minPluginVersion: '1.4.0',
+        tags: ['editor', 'writing'],
+        settings: [
+            { key: 'showWordCount', type: 'toggle', name: 'Show word count', desc: 'Display word count in the status bar', default: true },
+            { key: 'showCharCount', type: 'toggle', name: 'Show character count', desc: 'Display character count in the status bar', default: true },
+            { key: 'showReadingTime', type: 'toggle', name: 'Show reading time', desc: 'Display estimated reading time in the status bar', default: true },
+            { key: 'wordsPerMinute', type: 'number', name: 'Reading speed (WPM)', desc: 'Words per minute for reading time calculation', default: 200, min: 1 }
+        ]
+    };
+
     constructor(plugin) {
         super(plugin);
         this.id = 'note-statistics';
@@ -13,32 +27,27 @@ class NoteStatisticsModule extends PluginModule {
     }
 
     async onEnable() {
-        // Get saved settings with defaults
-        const settings = this.getSettings();
-        this.showWordCount = settings.showWordCount !== false;
-        this.showCharCount = settings.showCharCount !== false;
-        this.showReadingTime = settings.showReadingTime !== false;
-        this.wordsPerMinute = settings.wordsPerMinute || 200;
+        this.applySettings();
 
         // Add status bar items
         this.updateStatusBar();
 
         // Register for editor changes
-        this.plugin.registerEvent(
+        this.registerEvent(
             this.app.workspace.on('editor-change', () => {
                 this.updateStatusBar();
             })
         );
 
         // Register for active leaf changes
-        this.plugin.registerEvent(
+        this.registerEvent(
             this.app.workspace.on('active-leaf-change', () => {
                 this.updateStatusBar();
             })
         );
 
         // Add command to show detailed statistics
-        this.plugin.addCommand({
+        this.addCommand({
             id: 'show-note-statistics',
             name: 'Show detailed note statistics',
             callback: () => this.showDetailedStats()
@@ -51,6 +60,29 @@ class NoteStatisticsModule extends PluginModule {
         this.statusBarItems.clear();
     }
 
+    applySettings() {
+        const settings = this.getSettings();
+        this.showWordCount = settings.showWordCount;
+        this.showCharCount = settings.showCharCount;
+        this.showReadingTime = settings.showReadingTime;
+        this.wordsPerMinute = settings.wordsPerMinute;
+    }
+
+    async onSettingsChanged() {
+        this.applySettings();
+
+        // Remove the items that were switched off
+        const shown = { words: this.showWordCount, chars: this.showCharCount, reading: this.showReadingTime };
+        for (const [key, isShown] of Object.entries(shown)) {
+            if (!isShown && this.statusBarItems.has(key)) {
+                this.statusBarItems.get(key).remove();
+                this.statusBarItems.delete(key);
+            }
+        }
+
+        this.updateStatusBar();
+    }
+
     updateStatusBar() {
         const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
         if (!activeView || !activeView.editor) {
@@ -80,7 +112,7 @@ class NoteStatisticsModule extends PluginModule {
     updateStatusBarItem(key, text) {
         let item = this.statusBarItems.get(key);
         if (!item) {
-            item = this.plugin.addStatusBarItem();
+            item = this.addStatusBarItem();
             this.statusBarItems.set(key, item);
         }
         item.setText(text);
@@ -140,83 +172,6 @@ Estimated reading time: ${readingTime} minute${readingTime === 1 ? '' : 's'}`;
 
         new Notice(message, 5000);
     }
-
-    // Add custom settings for this module
-    addSettings(containerEl) {
-        const settings = this.getSettings();
-
-        new Setting(containerEl)
-            .setName('Show word count')
-            .setDesc('Display word count in the status bar')
-            .addToggle(toggle => toggle
-                .setValue(settings.showWordCount !== false)
-                .onChange(async (value) => {
-                    const newSettings = { ...settings, showWordCount: value };
-                    await this.saveSettings(newSettings);
-                    this.showWordCount = value;
-                    
-                    if (!value && this.statusBarItems.has('words')) {
-                        this.statusBarItems.get('words').remove();
-                        this.statusBarItems.delete('words');
-                    } else {
-                        this.updateStatusBar();
-                    }
-                })
-            );
-
-        new Setting(containerEl)
-            .setName('Show character count')
-            .setDesc('Display character count in the status bar')
-            .addToggle(toggle => toggle
-                .setValue(settings.showCharCount !== false)
-                .onChange(async (value) => {
-                    const newSettings = { ...settings, showCharCount: value };
-                    await this.saveSettings(newSettings);
-                    this.showCharCount = value;
-                    
-                    if (!value && this.statusBarItems.has('chars')) {
-                        this.statusBarItems.get('chars').remove();
-                        this.statusBarItems.delete('chars');
-                    } else {
-                        this.updateStatusBar();
-                    }
-                })
-            );
-
-        new Setting(containerEl)
-            .setName('Show reading time')
-            .setDesc('Display estimated reading time in the status bar')
-            .addToggle(toggle => toggle
-                .setValue(settings.showReadingTime !== false)
-                .onChange(async (value) => {
-                    const newSettings = { ...settings, showReadingTime: value };
-                    await this.saveSettings(newSettings);
-                    this.showReadingTime = value;
-                    
-                    if (!value && this.statusBarItems.has('reading')) {
-                        this.statusBarItems.get('reading').remove();
-                        this.statusBarItems.delete('reading');
-                    } else {
-                        this.updateStatusBar();
-                    }
-                })
-            );
-
-        new Setting(containerEl)
-            .setName('Reading speed (WPM)')
-            .setDesc('Words per minute for reading time calculation')
-            .addText(text => text
-                .setPlaceholder('200')
-                .setValue(String(settings.wordsPerMinute || 200))
-                .onChange(async (value) => {
-                    const wpm = parseInt(value) || 200;
-                    const newSettings = { ...settings, wordsPerMinute: wpm };
-                    await this.saveSettings(newSettings);
-                    this.wordsPerMinute = wpm;
-                    this.updateStatusBar();
-                })
-            );
-    }
 }
 
 module.exports = NoteStatisticsModule;
\ No newline at end of file
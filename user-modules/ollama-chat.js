@@ -1,5 +1,6 @@
 // Ollama Chat Module
 // AI chat interface with RAG (Retrieval Augmented Generation) using Ollama
+// @capabilities vault:read, vault:write, network
 const { ItemView, WorkspaceLeaf, Setting, Notice, TFile, debounce, normalizePath, MarkdownRenderer } = obsidian;
 
 // View type identifier
@@ -200,10 +201,11 @@ class OllamaService {
 // ============================================================================
 
 class EmbeddingManager {
-    constructor(app, vault, ollamaService) {
+    constructor(app, vault, ollamaService, log) {
         this.app = app;
         this.vault = vault;
         this.ollamaService = ollamaService;
+        this.log = log;
         this.embeddings = {};
         this.metadata = {
             model: 'mxbai-embed-large',
@@ -340,18 +342,16 @@ class EmbeddingManager {
             await this.load();
         }
 
-        console.log('🔍 [RAG] Searching similar notes for query:', query);
-        console.log('   Loaded embeddings count:', Object.keys(this.embeddings).length);
-        console.log('   Embedding model:', this.metadata.model);
+        this.log.debug(`[RAG] Searching ${Object.keys(this.embeddings).length} embeddings (${this.metadata.model}) for:`, query);
 
         // Generate query embedding
         const queryEmbedding = await this.ollamaService.generateEmbedding(query, this.metadata.model);
         if (!queryEmbedding) {
-            console.error('❌ Failed to generate query embedding');
+            this.log.error('[RAG] Failed to generate query embedding');
             return [];
         }
 
-        console.log('   Query embedding dimension:', queryEmbedding.length);
+        this.log.debug('[RAG] Query embedding dimension:', queryEmbedding.length);
 
         // Calculate similarities
         const results = [];
@@ -364,10 +364,8 @@ class EmbeddingManager {
         results.sort((a, b) => b.similarity - a.similarity);
         const topResults = results.slice(0, topK);
 
-        console.log(`   Found ${results.length} notes, returning top ${topK}:`);
-        topResults.forEach((r, i) => {
-            console.log(`   ${i + 1}. ${r.path} (similarity: ${r.similarity.toFixed(4)})`);
-        });
+        this.log.debug(`[RAG] Found ${results.length} notes, returning top ${topK}:`,
+            topResults.map((r, i) => `${i + 1}. ${r.path} (similarity: ${r.similarity.toFixed(4)})`).join(', '));
 
         return topResults;
     }
@@ -378,9 +376,10 @@ class EmbeddingManager {
 // ============================================================================
 
 class ChatManager {
-    constructor(app, embeddingManager) {
+    constructor(app, embeddingManager, log) {
         this.app = app;
         this.embeddingManager = embeddingManager;
+        this.log = log;
         this.messages = [];
         this.pinnedNotes = new Set();
         this.systemPrompt = `You are an AI assistant integrated into Obsidian. You HAVE DIRECT ACCESS to the user's notes through the context provided below.
@@ -422,9 +421,7 @@ Always cite which notes contain relevant information and quote the relevant pass
         const contextParts = [];
         const sources = [];
 
-        console.log('📝 [RAG] Building context for query');
-        console.log('   Pinned notes:', this.pinnedNotes.size);
-        console.log('   Retrieving top', topK, 'similar notes');
+        this.log.debug(`[RAG] Building context from ${this.pinnedNotes.size} pinned notes and the top ${topK} similar notes`);
 
         // 1. Add pinned notes
         for (const path of this.pinnedNotes) {
@@ -433,7 +430,7 @@ Always cite which notes contain relevant information and quote the relevant pass
                 const content = await this.app.vault.read(file);
                 contextParts.push(`Note: ${path}\n${content}\n`);
                 sources.push({ path, type: 'pinned' });
-                console.log('   ✓ Added pinned note:', path);
+                this.log.debug('[RAG] Added pinned note:', path);
             }
         }
 
@@ -443,7 +440,7 @@ Always cite which notes contain relevant information and quote the relevant pass
         for (const result of similarNotes) {
             // Skip if already pinned
             if (this.pinnedNotes.has(result.path)) {
-                console.log('   ⊘ Skipping (already pinned):', result.path);
+                this.log.debug('[RAG] Skipping (already pinned):', result.path);
                 continue;
             }
 
@@ -456,17 +453,14 @@ Always cite which notes contain relevant information and quote the relevant pass
                     type: 'retrieved',
                     similarity: result.similarity
                 });
-                console.log('   ✓ Added retrieved note:', result.path, `(similarity: ${result.similarity.toFixed(4)})`);
+                this.log.debug('[RAG] Added retrieved note:', result.path, `(similarity: ${result.similarity.toFixed(4)})`);
             } else {
-                console.log('   ✗ File not found:', result.path);
+                this.log.warn('[RAG] File not found:', result.path);
             }
         }
 
         const context = contextParts.join('\n---\n\n');
-        console.log('📦 [RAG] Context built:');
-        console.log('   Total context parts:', contextParts.length);
-        console.log('   Total context length:', context.length, 'characters');
-        console.log('   Sources:', sources.length);
+        this.log.debug(`[RAG] Context built: ${contextParts.length} parts, ${context.length} characters, ${sources.length} sources`);
 
         return { context, sources };
     }
@@ -485,9 +479,9 @@ Always cite which notes contain relevant information and quote the relevant pass
                 content: `CONTEXT - The following notes from the vault are relevant to the user's question. Read them carefully and answer based on their contents:\n\n${context}\n\n--- END OF CONTEXT ---\n\nNow answer the user's question using ONLY the information from these notes. Quote specific passages and cite which notes they came from.`
             };
             messages.push(contextMessage);
-            console.log('💬 [RAG] Added context message to LLM (length:', contextMessage.content.length, 'chars)');
+            this.log.debug(`[RAG] Added context message to LLM (${contextMessage.content.length} chars)`);
         } else {
-            console.log('⚠️ [RAG] No context available - no notes will be provided to LLM!');
+            this.log.warn('[RAG] No context available - no notes will be provided to LLM!');
         }
 
         // Add recent conversation history (last 5 exchanges)
@@ -497,10 +491,7 @@ Always cite which notes contain relevant information and quote the relevant pass
         // Add current query
         messages.push({ role: 'user', content: userQuery });
 
-        console.log('📤 [RAG] Final message count being sent to LLM:', messages.length);
-        console.log('   - System messages:', messages.filter(m => m.role === 'system').length);
-        console.log('   - History messages:', recentMessages.length);
-        console.log('   - User message: 1');
+        this.log.debug(`[RAG] Sending ${messages.length} messages to LLM: ${messages.filter(m => m.role === 'system').length} system, ${recentMessages.length} history, 1 user`);
 
         return { messages, sources };
     }
@@ -550,7 +541,7 @@ class OllamaChatView extends ItemView {
     async initialize() {
         const settings = this.module.getSettings();
 
-        this.chatManager = new ChatManager(this.app, this.module.embeddingManager);
+        this.chatManager = new ChatManager(this.app, this.module.embeddingManager, this.module.log);
         this.chatManager.setSystemPrompt(settings.systemPrompt || this.chatManager.systemPrompt);
 
         // Load available models
@@ -859,13 +850,8 @@ class OllamaChatView extends ItemView {
     }
 
     addStyles() {
-        // Inject CSS for Apple-inspired design
-        const styleId = 'ollama-chat-styles';
-        if (document.getElementById(styleId)) return;
-
-        const style = document.createElement('style');
-        style.id = styleId;
-        style.textContent = `
+        // Inject CSS for Apple-inspired design; the module removes it when disabled
+        this.module.addStyle(`
 /* Ollama Chat - Isolated Styles */
 .ollama-chat-view {
     display: flex !important;
@@ -1290,8 +1276,7 @@ class OllamaChatView extends ItemView {
 .ollama-chat-view .ollama-send-button.stop-mode:active {
     filter: brightness(0.9) !important;
 }
-        `;
-        document.head.appendChild(style);
+        `, { id: 'chat-view' });
     }
 
     async onClose() {
@@ -1304,19 +1289,29 @@ class OllamaChatView extends ItemView {
 // ============================================================================
 
 class OllamaChatModule extends PluginModule {
+    static manifest = {
+        version: '1.3.1',
+        author: 'David Golding',
+        minPluginVersion: '1.4.0',
+        tags: ['ai', 'chat'],
+        // Loading the embeddings and connecting to Ollama waits until the chat is first used
+        activationEvents: [
+            { onCommand: 'ollama-chat-open', name: 'Open Ollama Chat', icon: 'message-circle' },
+            { onCommand: 'ollama-chat-pin-note', name: 'Pin current note for chat context' },
+            { onRibbon: 'Open Ollama Chat', icon: 'message-circle' },
+            { onView: VIEW_TYPE_OLLAMA_CHAT, name: 'Ollama Chat', icon: 'message-circle' }
+        ]
+    };
+
     constructor(plugin) {
         super(plugin);
         this.id = 'ollama-chat';
         this.name = 'Ollama Chat';
-        this.description = 'AI chat with RAG using local Ollama models';
+        this.description = 'AI chat with RAG using local Ollama models. Notes changed before the chat is first opened are embedded when it opens.';
 
         this.ollamaService = null;
         this.embeddingManager = null;
         this.fileWatcherDebounced = null;
-        this.viewRegistered = false;
-        this.ribbonIconAdded = false;
-        this.commandAdded = false;
-        this.fileWatcherSetup = false;
     }
 
     async onEnable() {
@@ -1328,7 +1323,8 @@ class OllamaChatModule extends PluginModule {
         this.embeddingManager = new EmbeddingManager(
             this.app,
             this.app.vault,
-            this.ollamaService
+            this.ollamaService,
+            this.log
         );
 
         // Load embeddings
@@ -1339,53 +1335,54 @@ class OllamaChatModule extends PluginModule {
             this.embeddingManager.metadata.model = settings.embeddingModel;
         }
 
-        // Register custom view (only if not already registered)
-        if (!this.viewRegistered) {
-            this.plugin.registerView(
-                VIEW_TYPE_OLLAMA_CHAT,
-                (leaf) => new OllamaChatView(leaf, this)
-            );
-            this.viewRegistered = true;
-        }
+        // Share one client and one embeddings store with other modules (e.g. a summarizer)
+        this.provide('ollama', this.ollamaService);
+        this.provide('ollama-embeddings', this.embeddingManager);
 
-        // Add ribbon icon (only once)
-        if (!this.ribbonIconAdded) {
-            this.plugin.addRibbonIcon('message-circle', 'Open Ollama Chat', () => {
-                this.activateView();
-            });
-            this.ribbonIconAdded = true;
-        }
+        // Register custom view (removed again when the module is disabled)
+        this.registerView(
+            VIEW_TYPE_OLLAMA_CHAT,
+            (leaf) => new OllamaChatView(leaf, this)
+        );
 
-        // Add command to pin current note (only once)
-        if (!this.commandAdded) {
-            this.plugin.addCommand({
-                id: 'ollama-chat-pin-note',
-                name: 'Pin current note for chat context',
-                callback: () => {
-                    const file = this.app.workspace.getActiveFile();
-                    if (file) {
-                        const view = this.getView();
-                        if (view?.chatManager) {
-                            view.chatManager.pinNote(file.path);
-                            view.updatePinnedNotesUI();
-                            new Notice(`Pinned: ${file.basename}`);
-                        }
+        // Add ribbon icon
+        this.addRibbonIcon('message-circle', 'Open Ollama Chat', () => {
+            this.activateView();
+        });
+
+        this.addCommand({
+            id: 'ollama-chat-open',
+            name: 'Open Ollama Chat',
+            callback: () => this.activateView()
+        });
+
+        // Add command to pin current note
+        this.addCommand({
+            id: 'ollama-chat-pin-note',
+            name: 'Pin current note for chat context',
+            callback: () => {
+                const file = this.app.workspace.getActiveFile();
+                if (file) {
+                    const view = this.getView();
+                    if (view?.chatManager) {
+                        view.chatManager.pinNote(file.path);
+                        view.updatePinnedNotesUI();
+                        new Notice(`Pinned: ${file.basename}`);
                     }
                 }
-            });
-            this.commandAdded = true;
-        }
+            }
+        });
 
-        // Setup file watcher for auto-embedding (only once)
-        if (!this.fileWatcherSetup) {
-            this.setupFileWatcher();
-            this.fileWatcherSetup = true;
-        }
+        // Setup file watcher for auto-embedding
+        this.setupFileWatcher();
 
         // Test connection
         const connected = await this.ollamaService.testConnection();
         if (!connected) {
             new Notice('Warning: Cannot connect to Ollama. Make sure Ollama is running at ' + settings.ollamaUrl);
+        } else {
+            // Runs in the background so the view doesn't wait for it
+            this.embedChangedNotes();
         }
 
         // Auto-open view
@@ -1436,28 +1433,39 @@ class OllamaChatModule extends PluginModule {
         this.fileWatcherDebounced = debounce(async (file) => {
             if (!(file instanceof TFile) || file.extension !== 'md') return;
 
-            const settings = this.getSettings();
-            const autoEmbedFolders = settings.autoEmbedFolders || [];
-
-            // Check if file is in auto-embed folders
-            const shouldEmbed = autoEmbedFolders.length === 0 ||
-                autoEmbedFolders.some(folder => file.path.startsWith(folder));
-
-            if (shouldEmbed && this.embeddingManager.shouldReEmbed(file)) {
+            if (this.isAutoEmbedded(file) && this.embeddingManager.shouldReEmbed(file)) {
                 await this.embeddingManager.embedNote(file);
                 await this.embeddingManager.save();
             }
         }, 2000, true);
 
         // Register events
-        this.plugin.registerEvent(
+        this.registerEvent(
             this.app.vault.on('create', this.fileWatcherDebounced)
         );
-        this.plugin.registerEvent(
+        this.registerEvent(
             this.app.vault.on('modify', this.fileWatcherDebounced)
         );
     }
 
+    isAutoEmbedded(file) {
+        const autoEmbedFolders = this.getSettings().autoEmbedFolders || [];
+        return autoEmbedFolders.length === 0 ||
+            autoEmbedFolders.some(folder => file.path.startsWith(folder));
+    }
+
+    // The file watcher only runs once the module has started, so embed what it missed since the last save
+    async embedChangedNotes() {
+        const since = this.embeddingManager.metadata.lastUpdate || 0;
+        const files = this.app.vault.getMarkdownFiles().filter(file =>
+            file.stat.mtime > since && this.isAutoEmbedded(file) && this.embeddingManager.shouldReEmbed(file)
+        );
+        if (files.length === 0) return;
+
+        this.log.info(`Embedding ${files.length} notes changed since the chat last ran`);
+        await this.embeddingManager.embedMultipleNotes(files);
+    }
+
     async addSettings(containerEl) {
         const settings = this.getSettings();
 
@@ -1682,10 +1690,7 @@ Always cite which notes contain relevant information and quote the relevant pass
 
                     try {
                         const testText = 'This is a test note to verify that embeddings are working correctly in Obsidian.';
-                        console.log('🧪 Testing embedding API...');
-                        console.log('   Text:', testText);
-                        console.log('   Model:', settings.embeddingModel || this.embeddingManager.metadata.model);
-                        console.log('   Ollama URL:', this.ollamaService.baseUrl);
+                        this.log.info(`Testing embedding API with ${settings.embeddingModel || this.embeddingManager.metadata.model} at ${this.ollamaService.baseUrl}`);
 
                         const embedding = await this.ollamaService.generateEmbedding(
                             testText,
@@ -1695,18 +1700,16 @@ Always cite which notes contain relevant information and quote the relevant pass
                         if (embedding && Array.isArray(embedding) && embedding.length > 0) {
                             button.setButtonText('✓ Success!');
                             new Notice(`✅ Embedding test successful!\nDimension: ${embedding.length}\nModel: ${settings.embeddingModel || this.embeddingManager.metadata.model}`, 5000);
-                            console.log('✅ Embedding test successful!');
-                            console.log('   Embedding dimension:', embedding.length);
-                            console.log('   First 5 values:', embedding.slice(0, 5));
+                            this.log.info(`Embedding test successful, dimension ${embedding.length}, first values:`, embedding.slice(0, 5));
                         } else {
                             button.setButtonText('✗ Failed');
-                            new Notice('❌ Embedding test failed: No embedding generated. Check console for details.', 5000);
-                            console.error('❌ Embedding test failed: received', embedding);
+                            new Notice('❌ Embedding test failed: No embedding generated. Check the Module Inspector for details.', 5000);
+                            this.log.error('Embedding test failed: received', embedding);
                         }
                     } catch (error) {
                         button.setButtonText('✗ Error');
                         new Notice(`❌ Embedding test error: ${error.message}`, 5000);
-                        console.error('❌ Embedding test error:', error);
+                        this.log.error('Embedding test error:', error);
                     }
 
                     setTimeout(() => {
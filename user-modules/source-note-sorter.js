@@ -1,27 +1,43 @@
 // Source Note Sorter Module
 // Sorts lists of source notes by author or date
-const { Setting } = obsidian;
+// @capabilities editor
 
 class SourceNoteSorterModule extends PluginModule {
+    static manifest = {
+        version: '1.1.0',
+        author: 'David Golding',
+        minPluginVersion: '1.4.0',
+        tags: ['editor', 'lists'],
+        settings: [
+            {
+                key: 'sortMode',
+                type: 'dropdown',
+                name: 'Sort Mode',
+                desc: 'Choose how to sort source notes',
+                default: 'author',
+                options: { author: 'By Author (then by date)', date: 'By Date (then by author)' }
+            },
+            {
+                key: 'nestedHandling',
+                type: 'dropdown',
+                name: 'Nested Item Handling',
+                desc: 'How to handle nested list items during sorting',
+                default: 'follow-parent',
+                options: { 'follow-parent': 'Children follow parent', independent: 'Sort each level independently' }
+            }
+        ]
+    };
+
     constructor(plugin) {
         super(plugin);
         this.id = 'source-note-sorter';
         this.name = 'Source Note Sorter';
         this.description = 'Sort lists of source notes by author or date';
-
-        // Default settings
-        this.sortMode = 'author'; // 'author' or 'date'
-        this.nestedHandling = 'follow-parent'; // 'follow-parent' or 'independent'
     }
 
     async onEnable() {
-        // Load settings
-        const settings = this.getSettings();
-        this.sortMode = settings.sortMode || 'author';
-        this.nestedHandling = settings.nestedHandling || 'follow-parent';
-
         // Register context menu event
-        this.plugin.registerEvent(
+        this.registerEvent(
             this.app.workspace.on('editor-menu', (menu, editor, view) => {
                 // Only show if text is selected
                 if (editor.somethingSelected()) {
@@ -58,7 +74,8 @@ class SourceNoteSorterModule extends PluginModule {
             }
 
             // Sort the items
-            const sortedItems = this.sortItems(items, this.sortMode, this.nestedHandling);
+            const { sortMode, nestedHandling } = this.getSettings();
+            const sortedItems = this.sortItems(items, sortMode, nestedHandling);
 
             // Reconstruct the list
             const sortedText = this.reconstructList(sortedItems);
@@ -387,39 +404,6 @@ class SourceNoteSorterModule extends PluginModule {
 
         return lines.join('\n');
     }
-
-    /**
-     * Add settings UI
-     */
-    addSettings(containerEl) {
-        const settings = this.getSettings();
-
-        new Setting(containerEl)
-            .setName('Sort Mode')
-            .setDesc('Choose how to sort source notes')
-            .addDropdown(dropdown => dropdown
-                .addOption('author', 'By Author (then by date)')
-                .addOption('date', 'By Date (then by author)')
-                .setValue(settings.sortMode || 'author')
-                .onChange(async (value) => {
-                    this.sortMode = value;
-                    await this.saveSettings({ ...settings, sortMode: value });
-                })
-            );
-
-        new Setting(containerEl)
-            .setName('Nested Item Handling')
-            .setDesc('How to handle nested list items during sorting')
-            .addDropdown(dropdown => dropdown
-                .addOption('follow-parent', 'Children follow parent')
-                .addOption('independent', 'Sort each level independently')
-                .setValue(settings.nestedHandling || 'follow-parent')
-                .onChange(async (value) => {
-                    this.nestedHandling = value;
-                    await this.saveSettings({ ...settings, nestedHandling: value });
-                })
-            );
-    }
 }
 
 // Export the module